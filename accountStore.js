@@ -0,0 +1,156 @@
+/**
+ * Account Store for Desktop App
+ * Registry of the accounts signed in on this machine and which one is active.
+ * Each account keeps its own tokens, task cache and offline outbox in
+ * userData/accounts/<key>/, so switching accounts never mixes their data.
+ * Accounts belong to one backend environment; other environments (and custom
+ * base URLs) have their own registry under userData/environments/.
+ */
+
+const { app } = require('electron');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const LocalStore = require('./localStore');
+const TokenVault = require('./tokenVault');
+const TaskStore = require('./taskStore');
+const MutationOutbox = require('./mutationOutbox');
+const { getEnvironmentDirectory } = require('./environments');
+
+// Files used before multiple accounts were supported, adopted by the first account
+const LEGACY_FILES = ['tokens.json', 'task-cache.json', 'outbox.json'];
+
+class AccountStore {
+    /**
+     * @param {Object} environment - the backend these accounts sign in to (see environments.js)
+     */
+    constructor(environment) {
+        this.environment = environment;
+        this.root = getEnvironmentDirectory(environment);
+        this.store = new LocalStore(path.join(this.root, 'accounts.json'), { accounts: [], activeAccountId: null });
+        // Per-account storage, created on first use: { tokenVault, taskStore, outbox }
+        this.storage = new Map();
+    }
+
+    /**
+     * Get all signed-in accounts, in the order they were added
+     * @returns {Array<{ id: string, user: Object, addedAt: number }>}
+     */
+    list() {
+        return this.store.get('accounts');
+    }
+
+    get(accountId) {
+        return this.list().find(account => account.id === accountId) || null;
+    }
+
+    getActiveId() {
+        const activeId = this.store.get('activeAccountId');
+        return this.get(activeId) ? activeId : null;
+    }
+
+    setActiveId(accountId) {
+        this.store.set('activeAccountId', accountId);
+    }
+
+    /**
+     * Add an account, or update the user data of one that is already signed in
+     * @returns {{ id: string, user: Object, addedAt: number }}
+     */
+    save(user) {
+        const id = String(user.id || user.email);
+        const existing = this.get(id);
+        const account = { id, user, addedAt: existing ? existing.addedAt : Date.now() };
+
+        this.store.set('accounts', existing
+            ? this.list().map(other => (other.id === id ? account : other))
+            : [...this.list(), account]);
+        return account;
+    }
+
+    /**
+     * Forget an account and delete its tokens, task cache and outbox
+     */
+    remove(accountId) {
+        const storage = this.storage.get(accountId);
+        if (storage) {
+            storage.tokenVault.clear();
+            storage.taskStore.clear();
+            storage.outbox.clear();
+            this.storage.delete(accountId);
+        }
+
+        try {
+            fs.rmSync(path.join(app.getPath('userData'), this.getDirectory(accountId)), { recursive: true, force: true });
+        } catch (error) {
+            console.error('Failed to delete account data:', error);
+        }
+
+        this.store.set('accounts', this.list().filter(account => account.id !== accountId));
+        if (this.store.get('activeAccountId') === accountId) {
+            this.setActiveId(null);
+        }
+    }
+
+    /**
+     * Get an account's own token vault, task cache and offline outbox
+     * @returns {{ tokenVault: TokenVault, taskStore: TaskStore, outbox: MutationOutbox }}
+     */
+    getStorage(accountId) {
+        if (!this.storage.has(accountId)) {
+            const directory = this.getDirectory(accountId);
+            this.storage.set(accountId, {
+                tokenVault: new TokenVault(path.join(directory, 'tokens.json')),
+                taskStore: new TaskStore(path.join(directory, 'task-cache.json')),
+                outbox: new MutationOutbox(path.join(directory, 'outbox.json'))
+            });
+        }
+        return this.storage.get(accountId);
+    }
+
+    /**
+     * Directory (relative to userData) of an account's files; named by a hash so
+     * account IDs and emails never end up in file names
+     */
+    getDirectory(accountId) {
+        const key = crypto.createHash('sha256').update(String(accountId)).digest('hex').slice(0, 16);
+        return path.join(this.root, 'accounts', key);
+    }
+
+    /**
+     * Register the account that older versions kept in auth-state.json and the
+     * top-level tokens.json, moving its files into the account's directory.
+     * Those versions only ever signed in to production, so other environments skip this.
+     * @returns {Object|null} the adopted account
+     */
+    adoptLegacyAccount() {
+        if (this.root !== '' || this.list().length > 0) return null;
+
+        const legacyState = new LocalStore('auth-state.json', { user: null, authState: 'unauthenticated' });
+        const user = legacyState.get('user');
+        if (!user || !new TokenVault().hasTokens()) return null;
+
+        console.log('Moving the signed-in account into per-account storage');
+        const account = this.save(user);
+        const userData = app.getPath('userData');
+        const directory = path.join(userData, this.getDirectory(account.id));
+
+        LEGACY_FILES.forEach(fileName => {
+            const legacyPath = path.join(userData, fileName);
+            if (!fs.existsSync(legacyPath)) return;
+
+            try {
+                fs.mkdirSync(directory, { recursive: true });
+                fs.renameSync(legacyPath, path.join(directory, fileName));
+            } catch (error) {
+                console.error(`Failed to move ${fileName} to the account directory:`, error);
+            }
+        });
+
+        this.setActiveId(account.id);
+        legacyState.clear();
+        return account;
+    }
+}
+
+module.exports = AccountStore;
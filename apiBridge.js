@@ -0,0 +1,237 @@
+/**
+ * API Bridge for Desktop App
+ * Main-process side of the preload API (preload.js): owns the API client and the
+ * task event stream of the active account, answers renderer requests over IPC and
+ * forwards auth state, offline queue changes and task events to the windows.
+ * Main-process code (the tray menu) listens for 'tasks-changed' to refresh its task summary.
+ */
+
+const { ipcMain, BrowserWindow } = require('electron');
+const DesktopApiClient = require('./apiClient');
+const TaskEventStream = require('./taskEvents');
+
+class ApiBridge {
+    /**
+     * @param {{ authService: DesktopAuthService, accounts: AccountStore }} options
+     */
+    constructor({ authService, accounts }) {
+        this.authService = authService;
+        this.accounts = accounts;
+
+        // Client and event stream of the active account, replaced when the user switches
+        this.accountId = null;
+        this.apiClient = null;
+        this.taskEvents = null;
+        this.listeners = [];
+        this.useAccount(null);
+
+        this.authService.addListener(authState => this.onAuthStateChange(authState));
+    }
+
+    /**
+     * Point the API client and the event stream at an account (null: signed out).
+     * Each account has its own task cache and offline outbox; requests still in flight
+     * for the previous account finish with that account's tokens and storage.
+     */
+    useAccount(accountId) {
+        if (this.taskEvents) {
+            this.taskEvents.stop();
+        }
+
+        const storage = accountId ? this.accounts.getStorage(accountId) : null;
+        const session = this.authService.getAccountSession(accountId);
+
+        this.accountId = accountId;
+        this.apiClient = new DesktopApiClient(session, storage ? { taskCache: storage.taskStore, outbox: storage.outbox } : {});
+        this.taskEvents = new TaskEventStream(session);
+
+        this.apiClient.addListener((event, detail) => {
+            if (event === 'outbox-changed' && this.accountId === accountId) {
+                this.broadcast('tasks-pending-changed', detail.pending);
+                this.notifyListeners('tasks-changed');
+            }
+        });
+        this.taskEvents.addListener((event, detail) => {
+            this.broadcast('tasks-event', event, detail);
+            if (event !== 'connection-changed') {
+                this.notifyListeners('tasks-changed');
+            }
+        });
+    }
+
+    /**
+     * Pending tasks with the highest RICU score, for the tray menu
+     * @param {number} [limit] - number of tasks to include
+     * @returns {Promise<{ total: number, tasks: Object[] }|null>} null when signed out
+     */
+    async getTaskSummary(limit = 5) {
+        if (!this.authService.isAuthenticated()) return null;
+
+        const response = await this.apiClient.getTasks({ status: 'pending', limit });
+        const tasks = [...(response.data?.tasks || [])]
+            .sort((a, b) => (b.ricu || 0) - (a.ricu || 0))
+            .slice(0, limit);
+
+        return { total: response.data?.total ?? tasks.length, tasks };
+    }
+
+    /**
+     * Register the IPC handlers used by preload.js
+     */
+    register() {
+        const auth = this.authService;
+        // Resolved per call: the client changes with the active account
+        const api = () => this.apiClient;
+
+        this.handle('auth-get-state', () => this.getAuthState());
+        this.handle('auth-login', () => auth.login());
+        this.handle('auth-login-device', () => auth.startDeviceLogin());
+        this.handle('auth-cancel-login', () => auth.cancelLogin());
+        this.handle('auth-open-login-url', () => auth.openLoginUrl());
+        this.handle('auth-logout', accountId => auth.logout(accountId || undefined));
+        this.handle('auth-switch-account', accountId => auth.switchAccount(accountId));
+        this.handle('auth-migrate-legacy', session => auth.migrateLegacySession(session));
+
+        this.handle('tasks-list', filters => api().getTasks(filters));
+        this.handle('tasks-get', taskId => api().getTask(taskId));
+        this.handle('tasks-create', taskData => this.changeTasks(api().createTask(taskData)));
+        this.handle('tasks-update', (taskId, updates) => this.changeTasks(api().updateTask(taskId, updates)));
+        this.handle('tasks-complete', taskId => this.changeTasks(api().completeTask(taskId)));
+        this.handle('tasks-trash', taskId => this.changeTasks(api().trashTask(taskId)));
+        this.handle('tasks-rate-suggestion', (taskId, index, rating) => api().rateTaskSuggestion(taskId, index, rating));
+        this.handle('tasks-enhance', taskId => api().enhanceTask(taskId));
+        this.handle('tasks-pending-changes', () => api().getPendingMutations());
+        this.handle('tasks-discard-change', mutationId => api().discardMutation(mutationId));
+        this.handle('tasks-replay-changes', () => api().replayMutations());
+        this.handle('tasks-resume-online', () => {
+            if (!auth.isAuthenticated()) return { replayed: 0, remaining: 0 };
+            this.taskEvents.reconnectNow();
+            return api().replayMutations();
+        });
+
+        this.handle('sync-trigger-all', async force => {
+            const client = api();
+            const response = await client.triggerAllSourcesSync(force);
+            return { ...response, jobs: client.getSyncJobs(response, null) };
+        });
+        this.handle('sync-trigger-ricu', async force => {
+            const client = api();
+            const response = await client.triggerRICURecalculation(force);
+            return { ...response, jobs: client.getSyncJobs(null, response) };
+        });
+        this.handle('sync-force', () => api().forceSync());
+        this.handle('sync-wait-for-jobs', (requestId, jobs, event) => api().waitForJobs(jobs, {
+            onProgress: progress => {
+                if (!event.sender.isDestroyed()) {
+                    event.sender.send('sync-jobs-progress', requestId, progress);
+                }
+            }
+        }));
+        this.handle('sync-list-sources', () => api().getUserSources());
+        this.handle('sync-source', async sourceId => {
+            const client = api();
+            const response = await client.triggerSourceSync(sourceId);
+            return { ...response, jobs: client.getSyncJobs(response, null) };
+        });
+        this.handle('sync-set-source-paused', (sourceId, paused) => api().setSourcePaused(sourceId, paused));
+    }
+
+    /**
+     * Register a handler whose errors reach the renderer with their extra properties intact
+     * (ipcMain.handle would only pass the message on). The sender event is the last argument.
+     */
+    handle(channel, handler) {
+        ipcMain.handle(channel, async (event, ...args) => {
+            try {
+                return { ok: true, result: await handler(...args, event) };
+            } catch (error) {
+                return {
+                    ok: false,
+                    error: {
+                        message: error.message,
+                        status: error.status,
+                        isNetworkError: !!error.isNetworkError,
+                        retryAfterMs: error.retryAfterMs
+                    }
+                };
+            }
+        });
+    }
+
+    /**
+     * Pass a task mutation's result through, telling listeners the task list changed
+     */
+    async changeTasks(request) {
+        const result = await request;
+        this.notifyListeners('tasks-changed');
+        return result;
+    }
+
+    getAuthState() {
+        const accounts = this.authService.getAccounts();
+        const activeAccount = accounts.find(account => account.active);
+
+        return {
+            authState: this.authService.getAuthState(),
+            user: this.authService.getUser(),
+            initials: activeAccount ? activeAccount.initials : null,
+            accounts,
+            activeAccountId: this.authService.getActiveAccountId(),
+            deviceLogin: this.authService.getDeviceLogin()
+        };
+    }
+
+    onAuthStateChange(authState) {
+        // Switched accounts, or signed out of the active one (whose storage is already deleted)
+        const accountId = this.authService.getActiveAccountId();
+        if (accountId !== this.accountId) {
+            this.useAccount(accountId);
+        }
+
+        if (authState === 'authenticated') {
+            this.taskEvents.start();
+        } else if (authState === 'unauthenticated') {
+            this.taskEvents.stop();
+        }
+
+        this.broadcast('auth-state-changed', this.getAuthState());
+        this.notifyListeners('tasks-changed');
+    }
+
+    /**
+     * Add listener for bridge events ('tasks-changed')
+     */
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Remove listener
+     */
+    removeListener(callback) {
+        const index = this.listeners.indexOf(callback);
+        if (index > -1) {
+            this.listeners.splice(index, 1);
+        }
+    }
+
+    notifyListeners(event, detail) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, detail);
+            } catch (error) {
+                console.error('API bridge listener error:', error);
+            }
+        });
+    }
+
+    broadcast(channel, ...args) {
+        BrowserWindow.getAllWindows().forEach(window => {
+            if (!window.isDestroyed()) {
+                window.webContents.send(channel, ...args);
+            }
+        });
+    }
+}
+
+module.exports = ApiBridge;
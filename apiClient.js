@@ -3,46 +3,193 @@
  * Similar to extension's api.js but adapted for desktop environment
  */
 
+const crypto = require('crypto');
+const { applyMutationToTasks, isLocalTaskId } = require('./taskMutations');
+const { parseRetryAfter } = require('./retryAfter');
+
+// Statuses that mean the server will never accept a queued mutation as it stands;
+// anything else (offline, 5xx, 429, an expired session) is retried on the next replay
+const REJECTED_MUTATION_STATUSES = [400, 404, 409, 422];
+
+// For requests with an offline fallback (the task cache, the outbox): give up on the first
+// network error so the fallback comes right away, but keep backing off on 5xx and 429
+const OFFLINE_FALLBACK_RETRY = { retryOnNetworkError: false };
+
+/**
+ * Tasks with a stuck mutation: their later mutations wait until it is discarded,
+ * while mutations for other tasks carry on
+ */
+function getBlockedTaskIds(mutations) {
+    return new Set(mutations.filter(mutation => mutation.stuck).map(mutation => String(mutation.taskId)));
+}
+
 class DesktopApiClient {
-    constructor(authService) {
+    constructor(authService, options = {}) {
         this.authService = authService;
-        this.baseUrl = 'https://primitiv.tools';
+        // Same backend as the auth service unless overridden
+        this.baseUrl = options.baseUrl || authService.baseUrl || 'https://primitiv.tools';
+
+        // Offline task cache (owned by the main process), used when the network is unavailable
+        this.taskCache = options.taskCache || null;
+
+        // Durable queue of mutations that couldn't reach the server, replayed in order later
+        this.outbox = options.outbox || null;
+        this.replayPromise = null;
+
+        // Retry policy for makeRequest; override per call with `{ retry: { ... } }` or `{ retry: false }`
+        this.retryPolicy = {
+            retries: 3,
+            baseDelayMs: 500,
+            maxDelayMs: 8000,
+            maxRetryAfterMs: 60000,
+            retryOnStatus: [408, 429, 500, 502, 503, 504],
+            retryOnNetworkError: true,
+            ...options.retryPolicy
+        };
+
+        this.listeners = [];
     }
 
     async makeRequest(endpoint, options = {}) {
-        try {
-            const accessToken = await this.authService.getAccessToken();
-            
-            if (!accessToken) {
-                throw new Error('No valid access token available');
+        // `retry` configures the retry policy for this call and is not a fetch option
+        const { retry, ...requestOptions } = options;
+        const policy = this.resolveRetryPolicy(retry);
+        const method = (requestOptions.method || 'GET').toUpperCase();
+        let hasRefreshedToken = false;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.sendRequest(endpoint, requestOptions);
+            } catch (error) {
+                // Token revoked or expired server-side: refresh once and replay the request.
+                // A 401 means the server didn't act on it, so this is safe for any method.
+                if (error.status === 401 && !hasRefreshedToken) {
+                    hasRefreshedToken = true;
+                    console.log(`${method} ${endpoint} returned 401, refreshing access token`);
+                    const refreshed = await this.authService.refreshAccessToken();
+                    if (refreshed) {
+                        attempt--; // doesn't count against the retry policy
+                        continue;
+                    }
+                }
+
+                const delayMs = this.getRetryDelay(error, attempt, policy, method, requestOptions.headers);
+
+                if (delayMs === null) {
+                    if (attempt > 0) {
+                        this.emitRetryEvent(policy, 'retry-exhausted', { endpoint, method, attempts: attempt + 1, error });
+                    }
+                    console.error('API request failed:', error);
+                    throw error;
+                }
+
+                console.log(`Retrying ${method} ${endpoint} in ${delayMs}ms (attempt ${attempt + 2}/${policy.retries + 1}): ${error.message}`);
+                this.emitRetryEvent(policy, 'retry', { endpoint, method, attempt: attempt + 1, delayMs, status: error.status || null, error });
+                await new Promise(resolve => setTimeout(resolve, delayMs));
             }
+        }
+    }
 
-            const url = `${this.baseUrl}${endpoint}`;
-            const defaultOptions = {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Authorization': `Bearer ${accessToken}`,
-                },
-                credentials: 'include',
-            };
+    async sendRequest(endpoint, options = {}) {
+        const accessToken = await this.authService.getAccessToken();
+        
+        if (!accessToken) {
+            throw new Error('No valid access token available');
+        }
 
-            const requestOptions = {
-                ...defaultOptions,
-                ...options,
-                headers: {
-                    ...defaultOptions.headers,
-                    ...options.headers,
-                },
-            };
+        const url = `${this.baseUrl}${endpoint}`;
+        const defaultOptions = {
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${accessToken}`,
+            },
+            credentials: 'include',
+        };
 
-            console.log(`Making API request to: ${url}`);
-            const response = await fetch(url, requestOptions);
-            
-            return await this.handleResponse(response);
+        const requestOptions = {
+            ...defaultOptions,
+            ...options,
+            headers: {
+                ...defaultOptions.headers,
+                ...options.headers,
+            },
+        };
+
+        console.log(`Making API request to: ${url}`);
+        let response;
+        try {
+            response = await fetch(url, requestOptions);
         } catch (error) {
-            console.error('API request failed:', error);
-            throw error;
+            // The server couldn't be reached, or the connection dropped before a response
+            // (in which case the server may still have handled the request)
+            throw this.createNetworkError(error);
         }
+        
+        return await this.handleResponse(response);
+    }
+
+    createNetworkError(cause) {
+        const error = new Error(`Network unavailable: ${cause.message}`);
+        error.isNetworkError = true;
+        error.cause = cause;
+        return error;
+    }
+
+    createHttpError(message, response) {
+        const error = new Error(message);
+        error.status = response.status;
+        error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+        return error;
+    }
+
+    /**
+     * Merge a per-call retry option with the client's default policy.
+     * `false` disables retries, an object overrides individual settings.
+     */
+    resolveRetryPolicy(retry) {
+        if (retry === false) {
+            return { ...this.retryPolicy, retries: 0 };
+        }
+        return { ...this.retryPolicy, ...(retry || {}) };
+    }
+
+    /**
+     * Decide whether a failed request should be retried
+     * @returns {number|null} delay before the next attempt, or null to give up
+     */
+    getRetryDelay(error, attempt, policy, method, headers = {}) {
+        if (attempt >= policy.retries) return null;
+
+        const isRetryableError = (error.isNetworkError && policy.retryOnNetworkError)
+            || policy.retryOnStatus.includes(error.status);
+        if (!isRetryableError) return null;
+
+        // Only retry requests that are safe to repeat: POSTs need an idempotency key
+        const hasIdempotencyKey = Object.keys(headers || {}).some(name => name.toLowerCase() === 'idempotency-key');
+        if (method === 'POST' && !hasIdempotencyKey) return null;
+
+        // Exponential backoff with full jitter
+        const backoffMs = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+        const delayMs = Math.round(Math.random() * backoffMs);
+
+        // Honor Retry-After, but don't wait longer than the policy allows
+        if (error.retryAfterMs != null) {
+            if (error.retryAfterMs > policy.maxRetryAfterMs) return null;
+            return Math.max(delayMs, Math.round(error.retryAfterMs));
+        }
+
+        return delayMs;
+    }
+
+    emitRetryEvent(policy, event, detail) {
+        if (typeof policy.onRetry === 'function') {
+            try {
+                policy.onRetry(event, detail);
+            } catch (error) {
+                console.error('Retry callback error:', error);
+            }
+        }
+        this.notifyListeners(event, detail);
     }
 
     async handleResponse(response) {
@@ -50,7 +197,7 @@ class DesktopApiClient {
             // Handle non-JSON responses (like 429 "Too many requests")
             if (response.status === 429) {
                 const text = await response.text();
-                throw new Error(`Rate limited: ${text || 'Too many requests'}`);
+                throw this.createHttpError(`Rate limited: ${text || 'Too many requests'}`, response);
             }
 
             // Try to parse JSON, but handle cases where response might not be JSON
@@ -60,11 +207,11 @@ class DesktopApiClient {
                 data = await response.json();
             } else {
                 const text = await response.text();
-                throw new Error(`Expected JSON response, got: ${text.substring(0, 100)}`);
+                throw this.createHttpError(`Expected JSON response, got: ${text.substring(0, 100)}`, response);
             }
             
             if (!response.ok) {
-                throw new Error(data.message || `HTTP ${response.status}: ${response.statusText}`);
+                throw this.createHttpError(data.message || `HTTP ${response.status}: ${response.statusText}`, response);
             }
             
             return {
@@ -79,6 +226,11 @@ class DesktopApiClient {
     }
 
     // Task-related methods
+    /**
+     * Get a page of tasks
+     * @param {{ limit?, status?, priority?, cursor? }} filters - pass the previous page's `nextCursor` as `cursor` for the next page
+     * @returns {Promise<Object>} response with `data.tasks`, `data.nextCursor` (null on the last page) and `data.total`
+     */
     async getTasks(filters = {}) {
         const params = new URLSearchParams();
         
@@ -86,14 +238,325 @@ class DesktopApiClient {
         if (filters.status) params.append('status', filters.status);
         if (filters.priority) params.append('priority', filters.priority);
         
+        // Pages of the same query share one cache entry
+        const cacheKey = params.toString() || 'all';
+        if (filters.cursor) params.append('cursor', filters.cursor);
+
         const queryString = params.toString();
         const endpoint = `/api/tasks${queryString ? `?${queryString}` : ''}`;
+        const isFirstPage = !filters.cursor;
         
-        return await this.makeRequest(endpoint);
+        try {
+            // Push queued offline edits first so the server list includes them
+            if (isFirstPage) {
+                await this.replayMutations();
+            }
+
+            const response = await this.makeRequest(endpoint, isFirstPage && this.taskCache ? { retry: OFFLINE_FALLBACK_RETRY } : {});
+            const serverTasks = response.data?.tasks || [];
+
+            // Anything still queued (e.g. a stuck mutation) stays visible on top of the server list.
+            // Offline-created tasks are only added to the first page.
+            const pending = (await this.getPendingMutations())
+                .filter(mutation => isFirstPage || mutation.type !== 'create');
+            const tasks = pending.reduce(
+                (list, mutation) => applyMutationToTasks(list, mutation, filters.status),
+                serverTasks
+            );
+
+            const total = response.data?.total ?? null;
+            if (response.data) {
+                response.data.tasks = tasks;
+                response.data.nextCursor = response.data.nextCursor || null;
+                response.data.total = total != null ? total + (tasks.length - serverTasks.length) : null;
+            }
+
+            if (isFirstPage) {
+                await this.callTaskCache('putList', cacheKey, tasks, response.data?.total);
+            } else {
+                const cached = await this.callTaskCache('getList', cacheKey);
+                if (cached) {
+                    const cachedIds = new Set(cached.tasks.map(task => String(task.id)));
+                    const newTasks = tasks.filter(task => !cachedIds.has(String(task.id)));
+                    await this.callTaskCache('putList', cacheKey, [...cached.tasks, ...newTasks], response.data?.total);
+                }
+            }
+            return response;
+        } catch (error) {
+            // Later pages have nothing to fall back to - everything cached came with the first page
+            if (!error.isNetworkError || !isFirstPage) throw error;
+
+            const cached = await this.callTaskCache('getList', cacheKey);
+            if (!cached) throw error;
+
+            console.log(`Network unavailable, serving ${cached.tasks.length} cached tasks from ${new Date(cached.cachedAt).toISOString()}`);
+            return {
+                status: 'success',
+                data: {
+                    tasks: cached.tasks,
+                    nextCursor: null,
+                    total: cached.total ?? cached.tasks.length
+                },
+                fromCache: true,
+                cachedAt: cached.cachedAt
+            };
+        }
     }
 
     async getTask(taskId) {
-        return await this.makeRequest(`/api/tasks/${taskId}`);
+        // Tasks created offline only exist locally until their create is replayed
+        if (isLocalTaskId(taskId)) {
+            const cached = await this.callTaskCache('getTask', taskId);
+            if (cached) {
+                return { status: 'success', data: { task: cached.task }, fromCache: true, cachedAt: cached.cachedAt };
+            }
+        }
+
+        try {
+            const response = await this.makeRequest(`/api/tasks/${taskId}`, this.taskCache ? { retry: OFFLINE_FALLBACK_RETRY } : {});
+            await this.callTaskCache('putTask', response.data?.task);
+            return response;
+        } catch (error) {
+            if (!error.isNetworkError) throw error;
+
+            const cached = await this.callTaskCache('getTask', taskId);
+            if (!cached) throw error;
+
+            console.log(`Network unavailable, serving cached task ${taskId}`);
+            return {
+                status: 'success',
+                data: { task: cached.task },
+                fromCache: true,
+                cachedAt: cached.cachedAt
+            };
+        }
+    }
+
+    // Cache failures must never break a request, so they are only logged
+    async callTaskCache(method, ...args) {
+        if (!this.taskCache) return null;
+
+        try {
+            return await this.taskCache[method](...args);
+        } catch (error) {
+            console.error(`Task cache ${method} failed:`, error);
+            return null;
+        }
+    }
+
+    // Offline mutation queue methods
+    async getPendingMutations() {
+        if (!this.outbox) return [];
+
+        try {
+            return (await this.outbox.list()) || [];
+        } catch (error) {
+            console.error('Failed to read mutation outbox:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Send a task mutation, or queue it when the network is unavailable.
+     * While older mutations are still waiting to be sent, new ones queue behind them to
+     * keep order; so do mutations for a task whose earlier change is stuck.
+     */
+    async sendMutation(type, taskId, payload = null) {
+        // The ID is the idempotency key of every attempt, this first one included: a request
+        // whose connection dropped may have reached the server before it is queued and replayed
+        const mutation = { id: crypto.randomUUID(), type, taskId, payload };
+
+        if (this.outbox) {
+            await this.replayMutations();
+            const pending = await this.getPendingMutations();
+            const blocked = getBlockedTaskIds(pending);
+            const waiting = pending.some(other => !other.stuck && !blocked.has(String(other.taskId)));
+            if (waiting || (taskId != null && blocked.has(String(taskId)))) {
+                return await this.queueMutation(mutation);
+            }
+        }
+
+        try {
+            return await this.executeMutation(mutation, { 'Idempotency-Key': mutation.id }, this.outbox ? OFFLINE_FALLBACK_RETRY : undefined);
+        } catch (error) {
+            if (!error.isNetworkError || !this.outbox) throw error;
+            return await this.queueMutation(mutation);
+        }
+    }
+
+    async queueMutation(mutation) {
+        const queued = await this.outbox.enqueue(mutation);
+        await this.callTaskCache('applyMutation', queued);
+        console.log(`Queued offline ${queued.type} for task ${queued.taskId}`);
+        this.notifyListeners('outbox-changed', { pending: await this.getPendingMutations() });
+
+        return {
+            status: 'queued',
+            data: queued.type === 'create' ? { task: { id: queued.taskId } } : {},
+            queued: true,
+            mutationId: queued.id
+        };
+    }
+
+    /**
+     * @param {Object} [retry] - retry option for makeRequest
+     */
+    async executeMutation(mutation, headers = {}, retry) {
+        const { type, taskId, payload } = mutation;
+
+        switch (type) {
+            case 'create':
+                return await this.makeRequest('/api/ai/tasks/create-manual', {
+                    method: 'POST',
+                    headers,
+                    retry,
+                    body: JSON.stringify(payload),
+                });
+            case 'update':
+                return await this.makeRequest(`/api/tasks/${taskId}`, {
+                    method: 'PATCH',
+                    headers,
+                    retry,
+                    body: JSON.stringify(payload),
+                });
+            case 'complete':
+                return await this.makeRequest(`/api/tasks/${taskId}`, {
+                    method: 'PATCH',
+                    headers,
+                    retry,
+                    body: JSON.stringify({ status: 'completed' }),
+                });
+            case 'trash':
+                return await this.makeRequest(`/api/tasks/${taskId}/trash`, {
+                    method: 'POST',
+                    headers,
+                    retry,
+                });
+            case 'delete':
+                return await this.makeRequest(`/api/tasks/${taskId}`, {
+                    method: 'DELETE',
+                    headers,
+                    retry,
+                });
+            default:
+                throw new Error(`Unknown mutation type: ${type}`);
+        }
+    }
+
+    /**
+     * Replay queued mutations in order. A mutation the server rejects outright is marked
+     * stuck until discarded, holding back only later mutations for the same task; any other
+     * failure stops the replay and leaves the rest pending for next time.
+     */
+    async replayMutations() {
+        if (!this.outbox) return { replayed: 0, remaining: 0 };
+
+        // Share a single replay between concurrent callers
+        if (this.replayPromise) return this.replayPromise;
+
+        this.replayPromise = (async () => {
+            let replayed = 0;
+
+            while (true) {
+                const mutations = await this.getPendingMutations();
+                const blocked = getBlockedTaskIds(mutations);
+                const mutation = mutations.find(other => !other.stuck && !blocked.has(String(other.taskId)));
+                if (!mutation) break;
+
+                try {
+                    // Same idempotency key as the first attempt, so a replayed create can be retried safely
+                    const response = await this.executeMutation(mutation, { 'Idempotency-Key': mutation.id }, OFFLINE_FALLBACK_RETRY);
+                    await this.outbox.remove(mutation.id);
+                    replayed++;
+
+                    if (mutation.type === 'create') {
+                        await this.settleCreatedTask(mutation, response);
+                    }
+                } catch (error) {
+                    if (!error.isNetworkError) {
+                        const rejected = REJECTED_MUTATION_STATUSES.includes(error.status);
+                        console.error(`Queued ${mutation.type} for task ${mutation.taskId} ${rejected ? 'was rejected' : 'failed, will retry'}:`, error);
+                        await this.outbox.update(mutation.id, {
+                            stuck: rejected,
+                            attempts: mutation.attempts + 1,
+                            lastError: error.message
+                        });
+                        if (rejected) continue;
+                    }
+                    break;
+                }
+            }
+
+            if (replayed > 0) {
+                console.log(`Replayed ${replayed} queued mutation(s)`);
+            }
+
+            const remaining = await this.getPendingMutations();
+            if (replayed > 0 || remaining.some(mutation => mutation.stuck)) {
+                this.notifyListeners('outbox-changed', { pending: remaining });
+            }
+
+            return { replayed, remaining: remaining.length };
+        })();
+
+        try {
+            return await this.replayPromise;
+        } finally {
+            this.replayPromise = null;
+        }
+    }
+
+    /**
+     * After a replayed create, point its queued edits and cached placeholder at the server's
+     * task ID. Without one, the edits can't be sent and are marked stuck.
+     */
+    async settleCreatedTask(mutation, response) {
+        const createdId = response.data?.task?.id ?? response.data?.id;
+        if (createdId != null) {
+            await this.outbox.remapTaskId(mutation.taskId, createdId);
+            await this.callTaskCache('remapTaskId', mutation.taskId, createdId);
+            return;
+        }
+
+        console.warn(`Replayed create for task ${mutation.taskId} returned no task ID`);
+        await this.callTaskCache('applyMutation', { type: 'delete', taskId: mutation.taskId });
+
+        const dependents = (await this.getPendingMutations())
+            .filter(other => String(other.taskId) === String(mutation.taskId));
+        for (const other of dependents) {
+            await this.outbox.update(other.id, {
+                stuck: true,
+                lastError: 'The server did not return an ID for the task created offline'
+            });
+        }
+    }
+
+    /**
+     * Discard a queued mutation (e.g. one the server keeps rejecting). Discarding a create
+     * also discards the edits queued for that offline task, which could never be sent.
+     */
+    async discardMutation(mutationId) {
+        if (!this.outbox) return false;
+
+        const removed = await this.outbox.remove(mutationId);
+        if (removed) {
+            console.log(`Discarded queued ${removed.type} for task ${removed.taskId}`);
+            // A discarded create leaves a placeholder behind; drop it from the cache too
+            if (removed.type === 'create') {
+                const dependents = (await this.getPendingMutations())
+                    .filter(mutation => String(mutation.taskId) === String(removed.taskId));
+                for (const mutation of dependents) {
+                    await this.outbox.remove(mutation.id);
+                }
+                if (dependents.length > 0) {
+                    console.log(`Discarded ${dependents.length} queued change(s) for task ${removed.taskId}`);
+                }
+                await this.callTaskCache('applyMutation', { type: 'delete', taskId: removed.taskId });
+            }
+            this.notifyListeners('outbox-changed', { pending: await this.getPendingMutations() });
+        }
+
+        return !!removed;
     }
 
     async createTask(taskData) {
@@ -115,36 +578,23 @@ class DesktopApiClient {
             confidence: null
         };
         
-        return await this.makeRequest('/api/ai/tasks/create-manual', {
-            method: 'POST',
-            body: JSON.stringify(aiTaskData),
-        });
+        return await this.sendMutation('create', null, aiTaskData);
     }
 
     async updateTask(taskId, updates) {
-        return await this.makeRequest(`/api/tasks/${taskId}`, {
-            method: 'PATCH',
-            body: JSON.stringify(updates),
-        });
+        return await this.sendMutation('update', taskId, updates);
     }
 
     async completeTask(taskId) {
-        return await this.makeRequest(`/api/tasks/${taskId}`, {
-            method: 'PATCH',
-            body: JSON.stringify({ status: 'completed' }),
-        });
+        return await this.sendMutation('complete', taskId);
     }
 
     async trashTask(taskId) {
-        return await this.makeRequest(`/api/tasks/${taskId}/trash`, {
-            method: 'POST',
-        });
+        return await this.sendMutation('trash', taskId);
     }
 
     async deleteTask(taskId) {
-        return await this.makeRequest(`/api/tasks/${taskId}`, {
-            method: 'DELETE',
-        });
+        return await this.sendMutation('delete', taskId);
     }
 
     async rateTaskSuggestion(taskId, suggestionIndex, rating) {
@@ -188,12 +638,109 @@ class DesktopApiClient {
             this.triggerRICURecalculation(true)
         ]);
 
+        const sync = syncResult.status === 'fulfilled' ? syncResult.value : { error: syncResult.reason };
+        const ricu = ricuResult.status === 'fulfilled' ? ricuResult.value : { error: ricuResult.reason };
+
         return {
-            sync: syncResult.status === 'fulfilled' ? syncResult.value : { error: syncResult.reason },
-            ricu: ricuResult.status === 'fulfilled' ? ricuResult.value : { error: ricuResult.reason }
+            sync,
+            ricu,
+            jobs: this.getSyncJobs(sync, ricu)
         };
     }
 
+    /**
+     * Collect the background jobs started by triggerAllSourcesSync / triggerRICURecalculation
+     * @returns {Array<{ id, kind, label, sourceId, state, progress, error }>}
+     */
+    getSyncJobs(syncResponse, ricuResponse) {
+        const jobs = [];
+
+        const sourceJobs = syncResponse?.data?.jobs || [];
+        sourceJobs.forEach(job => {
+            jobs.push({
+                id: job.jobId || job.id,
+                kind: 'source',
+                label: job.sourceName || job.sourceType || 'Source',
+                sourceId: job.sourceId || null,
+                state: job.state || 'queued',
+                progress: job.progress || 0,
+                error: null
+            });
+        });
+
+        const ricuJobId = ricuResponse?.data?.jobId;
+        if (ricuJobId) {
+            jobs.push({
+                id: ricuJobId,
+                kind: 'ricu',
+                label: 'Task priorities',
+                sourceId: null,
+                state: 'queued',
+                progress: 0,
+                error: null
+            });
+        }
+
+        return jobs.filter(job => job.id);
+    }
+
+    async getJobStatuses(jobIds) {
+        return await this.makeRequest(`/api/queues/jobs?ids=${jobIds.map(encodeURIComponent).join(',')}`);
+    }
+
+    /**
+     * Poll job status until every job has completed or failed
+     * @param {Array} jobs - from getSyncJobs
+     * @param {{ onProgress?: Function, pollIntervalMs?: number, timeoutMs?: number }} options
+     * @returns {Promise<{ jobs: Array, timedOut: boolean }>}
+     */
+    async waitForJobs(jobs, options = {}) {
+        const { onProgress, pollIntervalMs = 1500, timeoutMs = 120000 } = options;
+        const isFinished = (job) => job.state === 'completed' || job.state === 'failed';
+        const startTime = Date.now();
+        let current = jobs.map(job => ({ ...job }));
+        let consecutiveErrors = 0;
+
+        while (!current.every(isFinished)) {
+            if (Date.now() - startTime >= timeoutMs) {
+                console.warn('[API] Timed out waiting for sync jobs');
+                return { jobs: current, timedOut: true };
+            }
+
+            await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+
+            try {
+                const pending = current.filter(job => !isFinished(job)).map(job => job.id);
+                const response = await this.getJobStatuses(pending);
+                const statuses = response.data?.jobs || [];
+                consecutiveErrors = 0;
+
+                current = current.map(job => {
+                    const status = statuses.find(s => s.id === job.id);
+                    if (!status) return job;
+                    return {
+                        ...job,
+                        state: status.state,
+                        progress: status.state === 'completed' ? 100 : (status.progress ?? job.progress),
+                        error: status.error || null
+                    };
+                });
+
+                if (onProgress) {
+                    onProgress(current);
+                }
+            } catch (error) {
+                console.error('[API] Failed to check sync job status:', error);
+                consecutiveErrors++;
+                if (consecutiveErrors >= 3) {
+                    return { jobs: current, timedOut: true };
+                }
+            }
+        }
+
+        return { jobs: current, timedOut: false };
+    }
+
     // User profile methods
     async getUserProfile() {
         return await this.makeRequest('/api/users/profile');
@@ -203,6 +750,51 @@ class DesktopApiClient {
         return await this.makeRequest('/api/users/sources');
     }
 
+    async triggerSourceSync(sourceId) {
+        console.log(`[API] Triggering sync for source ${sourceId}`);
+        return await this.makeRequest(`/api/users/sources/${encodeURIComponent(sourceId)}/sync`, {
+            method: 'POST',
+            body: JSON.stringify({ force: true })
+        });
+    }
+
+    /**
+     * Pause or resume ingestion from a source without disconnecting it
+     */
+    async setSourcePaused(sourceId, paused) {
+        return await this.makeRequest(`/api/users/sources/${encodeURIComponent(sourceId)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ ingestion_paused: paused })
+        });
+    }
+
+    /**
+     * Add listener for client events ('outbox-changed', 'retry', 'retry-exhausted')
+     */
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Remove listener
+     */
+    removeListener(callback) {
+        const index = this.listeners.indexOf(callback);
+        if (index > -1) {
+            this.listeners.splice(index, 1);
+        }
+    }
+
+    notifyListeners(event, detail) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, detail);
+            } catch (error) {
+                console.error('API client listener error:', error);
+            }
+        });
+    }
+
     // Health check
     async healthCheck() {
         try {
@@ -213,7 +805,7 @@ class DesktopApiClient {
     }
 }
 
-// Export for use in mainWindow.js
+// Export for use in apiBridge.js
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = DesktopApiClient;
 } else {
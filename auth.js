@@ -1,21 +1,118 @@
 /**
  * Authentication Service for Primitiv Desktop Widget
- * Handles user authentication state, token management, and backend communication
+ * Handles user authentication state, token management, and backend communication.
+ * Runs in the main process; renderers reach it through the preload bridge (preload.js).
  */
 
+const { shell } = require('electron');
+const crypto = require('crypto');
+const LoopbackRedirect = require('./loopbackRedirect');
+const { parseRetryAfter } = require('./retryAfter');
+
+// Refresh this long before the access token expires
+const REFRESH_LEAD_MS = 2 * 60 * 1000;
+// Tolerated clock difference with the server; tokens this close to expiry are verified over the network
+const CLOCK_SKEW_MS = 30 * 1000;
+// setTimeout can't wait longer than this
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+// A refresh the server couldn't handle (offline, 5xx, 429) is retried after this long, doubling up to the max
+const REFRESH_RETRY_BASE_MS = 30 * 1000;
+const REFRESH_RETRY_MAX_MS = 10 * 60 * 1000;
+// Responses that mean the refresh token itself was refused; anything else keeps the session
+const REFRESH_REJECTED_STATUSES = [400, 401];
+// A login started in the browser has to come back within this time
+const LOGIN_REQUEST_TTL_MS = 10 * 60 * 1000;
+// Device-code logins (RFC 8628): grant type, and the slowest the server may ask us to go per `slow_down`
+const DEVICE_CODE_GRANT = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEVICE_POLL_INTERVAL_MS = 5 * 1000;
+
+/**
+ * Read the `exp` claim of a JWT access token
+ * @returns {number|null} expiry in milliseconds, or null if the token isn't a JWT with an expiry
+ */
+function getTokenExpiry(token) {
+    try {
+        const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+        return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Initials to show for an account: first and last name, or the start of the email's local part
+ */
+function getUserInitials(user) {
+    const source = user?.name || (user?.email || '').split('@')[0];
+    const parts = source.split(/[\s._-]+/).filter(Boolean);
+    if (parts.length === 0) return '?';
+
+    return (parts.length > 1 ? parts[0][0] + parts[parts.length - 1][0] : parts[0].substring(0, 2)).toUpperCase();
+}
+
 class DesktopAuthService {
-    constructor() {
-        this.baseUrl = 'https://primitiv.tools';
-        this.storageKeys = {
-            ACCESS_TOKEN: 'primitivDesktopAccessToken',
-            REFRESH_TOKEN: 'primitivDesktopRefreshToken',
-            USER_DATA: 'primitivDesktopUserData',
-            AUTH_STATE: 'primitivDesktopAuthState'
-        };
+    /**
+     * @param {{ environment: Object, accounts: AccountStore, onInsecureTokenStorage?: Function, redirectMode?: 'deep-link'|'loopback'|'device' }} options
+     */
+    constructor(options) {
+        this.environment = options.environment;
+        this.baseUrl = this.environment.baseUrl;
+
+        // Signed-in accounts, each with its own tokens (encrypted at rest); one of them is active
+        this.accounts = options.accounts;
+        this.activeAccountId = null;
+        this.tokenVault = null;
+        this.onInsecureTokenStorage = options.onInsecureTokenStorage || null;
 
         this.user = null;
         this.authState = 'unauthenticated';
         this.listeners = [];
+        // In-flight refreshes, by account
+        this.refreshPromises = new Map();
+        // Refreshes that failed without being refused, by account: { failures, retryAt }
+        this.refreshBackoff = new Map();
+
+        // Proactive refresh, scheduled from the access token's expiry
+        this.refreshTimer = null;
+        this.refreshPauseReasons = new Set();
+
+        // Logins in progress, by state nonce: { codeVerifier, redirectUri, createdAt }
+        this.pendingLogins = new Map();
+
+        // How the browser hands the login back: the primitiv-desktop:// deep link, a
+        // redirect to a local listener when the protocol handler isn't registered, or
+        // not at all ('device': the user approves a code on another device)
+        this.redirectMode = options.redirectMode || 'deep-link';
+        this.loopbackRedirect = null;
+
+        // Device-code login in progress: { deviceCode, userCode, verificationUri, verificationUriComplete, expiresAt, intervalMs, timer }
+        this.deviceLogin = null;
+    }
+
+    /**
+     * Adopt a session that older versions kept in renderer localStorage
+     * (read by the preload script, which removes it unless told to retry)
+     * @returns {Promise<'migrated'|'skipped'|'retry'>} 'skipped' when there is nothing to adopt: no
+     *   access token, an account already signed in, or a token the server refused; 'retry' when the
+     *   server couldn't be reached to look up the user
+     */
+    async migrateLegacySession({ accessToken, refreshToken, userData }) {
+        if (!accessToken || this.accounts.list().length > 0) return 'skipped';
+
+        console.log('Migrating stored session out of localStorage');
+        let user = userData;
+        if (!user) {
+            try {
+                user = await this.fetchUserData(accessToken, { throwIfUnavailable: true });
+            } catch (error) {
+                return 'retry';
+            }
+        }
+        if (!user) return 'skipped';
+
+        await this.addAccount(user, accessToken, refreshToken);
+        await this.init();
+        return 'migrated';
     }
 
     /**
@@ -23,40 +120,24 @@ class DesktopAuthService {
      */
     async init() {
         try {
-            // Load from localStorage (desktop app uses localStorage instead of browser.storage)
-            const accessToken = localStorage.getItem(this.storageKeys.ACCESS_TOKEN);
-            const refreshToken = localStorage.getItem(this.storageKeys.REFRESH_TOKEN);
-            const userData = localStorage.getItem(this.storageKeys.USER_DATA);
-            const authState = localStorage.getItem(this.storageKeys.AUTH_STATE);
+            // Older versions kept a single account in top-level files
+            this.accounts.adoptLegacyAccount();
 
-            this.authState = authState || 'unauthenticated';
-            this.user = userData ? JSON.parse(userData) : null;
+            const accountId = this.accounts.getActiveId() || this.accounts.list()[0]?.id || null;
+            this.selectAccount(accountId);
+            const accessToken = this.tokenVault ? this.tokenVault.getAccessToken() : null;
 
-            // Check if we have both token and user data
-            if (accessToken && this.user) {
+            if (accessToken) {
                 // Verify token is still valid
                 const isValid = await this.verifyToken(accessToken);
-                if (isValid) {
-                    this.authState = 'authenticated';
-                } else {
-                    // Token verification failed, try to refresh
-                    if (refreshToken) {
-                        const refreshed = await this.refreshAccessToken();
-                        if (!refreshed) {
-                            // Refresh failed, clear auth data
-                            this.clearAuthData(true);
-                        }
-                    } else {
-                        // No refresh token, clear auth data
-                        this.clearAuthData(true);
-                    }
+                if (!isValid) {
+                    // Token verification failed, try to refresh. Only a refresh token the server refuses
+                    // signs the account out; offline, it stays signed in with its cache and outbox.
+                    await this.refreshAccessToken(accountId);
                 }
-            } else if (accessToken && !this.user) {
-                // We have a token but no user data, clear everything
-                this.clearAuthData(true);
-            } else if (!accessToken && this.authState === 'authenticated') {
-                // No token but stored state says authenticated, clear auth data
-                this.clearAuthData(true);
+            } else if (accountId) {
+                // Account without tokens (e.g. the keyring was reset), sign it out
+                this.clearAccountData(accountId, true);
             }
 
             // Notify listeners of the final auth state
@@ -64,7 +145,7 @@ class DesktopAuthService {
 
             console.log('Desktop Auth Service initialized:', {
                 authState: this.authState,
-                hasUser: !!this.user,
+                accounts: this.accounts.list().length,
                 hasToken: !!accessToken
             });
 
@@ -77,6 +158,87 @@ class DesktopAuthService {
         }
     }
 
+    /**
+     * Make an account the active one (null for none), without notifying listeners
+     */
+    selectAccount(accountId) {
+        const account = accountId ? this.accounts.get(accountId) : null;
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        this.activeAccountId = account ? account.id : null;
+        this.tokenVault = account ? this.accounts.getStorage(account.id).tokenVault : null;
+        this.user = account ? account.user : null;
+        this.authState = this.tokenVault && this.tokenVault.hasTokens() ? 'authenticated' : 'unauthenticated';
+        this.accounts.setActiveId(this.activeAccountId);
+
+        if (this.authState === 'authenticated') {
+            this.scheduleTokenRefresh();
+        }
+    }
+
+    /**
+     * Switch to another signed-in account
+     * @returns {boolean} whether the account is signed in
+     */
+    async switchAccount(accountId) {
+        if (!this.accounts.get(accountId)) return false;
+
+        if (accountId !== this.activeAccountId) {
+            console.log('Switching account');
+            this.selectAccount(accountId);
+            this.notifyListeners();
+        }
+        return true;
+    }
+
+    /**
+     * Sign an account in (or renew the tokens of one that already is) and make it active
+     */
+    async addAccount(user, accessToken, refreshToken) {
+        const account = this.accounts.save(user);
+        await this.storeTokens(accessToken, refreshToken, account.id);
+
+        this.selectAccount(account.id);
+        this.notifyListeners();
+        return account;
+    }
+
+    /**
+     * Get the signed-in accounts
+     * @returns {Array<{ id: string, user: Object, initials: string, active: boolean }>}
+     */
+    getAccounts() {
+        return this.accounts.list().map(({ id, user }) => ({
+            id,
+            user,
+            initials: getUserInitials(user),
+            active: id === this.activeAccountId
+        }));
+    }
+
+    getActiveAccountId() {
+        return this.activeAccountId;
+    }
+
+    /**
+     * Token access bound to one account, for clients that must keep acting as that
+     * account even after the user switches to another one
+     */
+    getAccountSession(accountId) {
+        return {
+            accountId,
+            baseUrl: this.baseUrl,
+            getAccessToken: () => this.getAccessToken(accountId),
+            refreshAccessToken: () => this.refreshAccessToken(accountId)
+        };
+    }
+
+    getTokenVault(accountId) {
+        return accountId && this.accounts.get(accountId) ? this.accounts.getStorage(accountId).tokenVault : null;
+    }
+
     /**
      * Check if user is authenticated
      */
@@ -99,32 +261,43 @@ class DesktopAuthService {
     }
 
     /**
-     * Get access token
+     * Get access token (of the active account unless another one is given)
      */
-    async getAccessToken() {
-        const token = localStorage.getItem(this.storageKeys.ACCESS_TOKEN);
+    async getAccessToken(accountId = this.activeAccountId) {
+        const tokenVault = this.getTokenVault(accountId);
+        const token = tokenVault ? tokenVault.getAccessToken() : null;
         if (!token) return null;
 
         // Check if token is expired
         const isValid = await this.verifyToken(token);
         if (!isValid) {
             // Try to refresh
-            const refreshed = await this.refreshAccessToken();
+            const refreshed = await this.refreshAccessToken(accountId);
             if (refreshed) {
-                return localStorage.getItem(this.storageKeys.ACCESS_TOKEN);
+                return tokenVault.getAccessToken();
             }
-            return null;
+            // Still signed in: the server couldn't be reached. Requests made with the old token
+            // fail as offline (falling back to cached tasks), or get a 401 and refresh again.
+            return this.getTokenVault(accountId) ? tokenVault.getAccessToken() : null;
         }
 
         return token;
     }
 
     /**
-     * Verify if token is valid
+     * Verify if token is valid. JWTs are checked locally against their expiry
+     * unless they are close to it (or `forceVerify` is set).
      */
     async verifyToken(token, forceVerify = false) {
         if (!token) return false;
 
+        const expiresAt = getTokenExpiry(token);
+        if (expiresAt !== null && !forceVerify) {
+            const remainingMs = expiresAt - Date.now();
+            if (remainingMs <= -CLOCK_SKEW_MS) return false;
+            if (remainingMs > CLOCK_SKEW_MS) return true;
+        }
+
         try {
             // For desktop app, we'll use the auth status endpoint to verify token
             const response = await fetch(`${this.baseUrl}/api/auth/status?source=desktop`, {
@@ -145,50 +318,137 @@ class DesktopAuthService {
             }
         } catch (error) {
             console.error('Token verification error:', error);
-            // If we can't verify due to network issues, return false to force re-authentication
-            return false;
+            // Can't reach the server (offline, flaky VPN) - keep the stored token so the
+            // session survives; API calls will fail fast and fall back to the task cache
+            return true;
         }
     }
 
     /**
-     * Update user data
+     * Store an account's tokens (encrypted when the OS supports it)
      */
-    async updateUserData(userData) {
-        this.user = userData;
-        localStorage.setItem(this.storageKeys.USER_DATA, JSON.stringify(userData));
-        this.notifyListeners();
+    async storeTokens(accessToken, refreshToken, accountId = this.activeAccountId) {
+        const tokenVault = this.getTokenVault(accountId);
+        if (!tokenVault) return;
+
+        const encrypted = tokenVault.save(accessToken, refreshToken);
+        if (!encrypted && this.onInsecureTokenStorage) {
+            this.onInsecureTokenStorage();
+        }
+        if (accountId === this.activeAccountId) {
+            this.scheduleTokenRefresh();
+        }
     }
 
     /**
-     * Store authentication tokens
+     * Schedule a refresh shortly before the access token expires
+     * (no-op for tokens without an expiry, which are refreshed on demand)
      */
-    async storeTokens(accessToken, refreshToken) {
-        localStorage.setItem(this.storageKeys.ACCESS_TOKEN, accessToken);
-        if (refreshToken) {
-            localStorage.setItem(this.storageKeys.REFRESH_TOKEN, refreshToken);
+    scheduleTokenRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        if (this.refreshPauseReasons.size > 0 || !this.tokenVault) return;
+
+        const expiresAt = getTokenExpiry(this.tokenVault.getAccessToken());
+        if (expiresAt === null) return;
+
+        const delay = Math.min(MAX_TIMER_DELAY_MS, Math.max(0, expiresAt - REFRESH_LEAD_MS - Date.now()));
+        this.refreshTimer = setTimeout(() => this.runScheduledRefresh(), delay);
+    }
+
+    async runScheduledRefresh() {
+        this.refreshTimer = null;
+        if (!this.tokenVault) return;
+
+        const accountId = this.activeAccountId;
+        const expiresAt = getTokenExpiry(this.tokenVault.getAccessToken());
+        if (expiresAt === null) return;
+
+        // The timer was capped (very long-lived token): just wait some more
+        if (expiresAt - REFRESH_LEAD_MS > Date.now()) {
+            this.scheduleTokenRefresh();
+            return;
         }
+
+        console.log('Access token expires soon, refreshing');
+        // A failed refresh schedules its own retry (see scheduleRefreshRetry)
+        await this.refreshAccessToken(accountId);
     }
 
     /**
-     * Clear all authentication data
+     * Keep the session after a refresh that failed without being refused, and try again
+     * later: with exponential backoff, and no sooner than the server's Retry-After
      */
-    async clearAuthData(skipNotification = false) {
-        console.log('🔄 clearAuthData called - clearing authentication data');
-        this.user = null;
-        this.authState = 'unauthenticated';
-        
-        localStorage.removeItem(this.storageKeys.ACCESS_TOKEN);
-        localStorage.removeItem(this.storageKeys.REFRESH_TOKEN);
-        localStorage.removeItem(this.storageKeys.USER_DATA);
-        localStorage.removeItem(this.storageKeys.AUTH_STATE);
+    scheduleRefreshRetry(accountId, retryAfterMs = null) {
+        const failures = (this.refreshBackoff.get(accountId)?.failures || 0) + 1;
+        this.refreshBackoff.set(accountId, {
+            failures,
+            retryAt: retryAfterMs != null ? Date.now() + retryAfterMs : 0
+        });
+
+        if (accountId !== this.activeAccountId || this.refreshPauseReasons.size > 0) return;
+
+        const backoffMs = Math.min(REFRESH_RETRY_MAX_MS, REFRESH_RETRY_BASE_MS * 2 ** (failures - 1));
+        const delay = Math.min(MAX_TIMER_DELAY_MS, Math.max(backoffMs, retryAfterMs || 0));
+        console.log(`Retrying token refresh in ${Math.round(delay / 1000)}s`);
+
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => this.runScheduledRefresh(), delay);
+    }
+
+    /**
+     * Stop proactive refreshes, e.g. during sleep mode or while the system is suspended
+     * @param {string} reason - refreshes resume once every reason has been lifted
+     */
+    pauseTokenRefresh(reason) {
+        this.refreshPauseReasons.add(reason);
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+
+    /**
+     * Resume proactive refreshes; a token that expired (or nearly) in the meantime is refreshed right away
+     */
+    resumeTokenRefresh(reason) {
+        this.refreshPauseReasons.delete(reason);
+        if (this.refreshPauseReasons.size === 0 && this.tokenVault && this.tokenVault.hasTokens()) {
+            this.scheduleTokenRefresh();
+        }
+    }
+
+    /**
+     * Sign an account out on this machine: delete its tokens, task cache and offline outbox.
+     * Signing out of the active account switches to the next signed-in one, if any.
+     */
+    clearAccountData(accountId, skipNotification = false) {
+        if (!accountId || !this.accounts.get(accountId)) return;
+
+        console.log('🔄 clearAccountData called - clearing account data');
+        this.refreshPromises.delete(accountId);
+        this.refreshBackoff.delete(accountId);
+        this.accounts.remove(accountId);
+
+        if (accountId === this.activeAccountId) {
+            const nextAccount = this.accounts.list()[0];
+            this.selectAccount(nextAccount ? nextAccount.id : null);
+        }
         
-        console.log('🔄 Auth state set to unauthenticated, notifying listeners:', !skipNotification);
+        console.log('🔄 Account removed, notifying listeners:', !skipNotification);
         
         if (!skipNotification) {
             this.notifyListeners();
         }
         
-        console.log('🔄 clearAuthData completed - current auth state:', this.authState);
+        console.log('🔄 clearAccountData completed - current auth state:', this.authState);
+    }
+
+    /**
+     * Leave the 'authenticating' state: back to the active account, if there is one
+     */
+    endLoginAttempt() {
+        this.authState = this.tokenVault && this.tokenVault.hasTokens() ? 'authenticated' : 'unauthenticated';
+        this.notifyListeners();
     }
 
 
@@ -196,24 +456,25 @@ class DesktopAuthService {
      * Start login process
      */
     async login() {
+        if (this.redirectMode === 'device') {
+            return !!(await this.startDeviceLogin());
+        }
+
         try {
+            // Replaces any login still in progress
+            this.stopAuthMonitoring();
             this.authState = 'authenticating';
             this.notifyListeners();
 
-            // Build login URL
-            const loginUrl = `${this.baseUrl}/login?source=desktop`;
-
-            // Store the login URL for manual opening if needed
-            this.currentLoginUrl = loginUrl;
+            // Build login URL (also kept for manual opening if needed)
+            const redirectUri = this.redirectMode === 'loopback' ? await this.startLoopbackRedirect() : null;
+            const loginUrl = this.createLoginRequest(redirectUri);
 
-            // Try to open in browser if electron is available
-            if (typeof require !== 'undefined') {
-                try {
-                    const { shell } = require('electron');
-                    await shell.openExternal(loginUrl);
-                } catch (e) {
-                    console.log('Could not auto-open browser:', e);
-                }
+            // Try to open in browser
+            try {
+                await shell.openExternal(loginUrl);
+            } catch (e) {
+                console.log('Could not auto-open browser:', e);
             }
 
             // Start monitoring for auth completion
@@ -222,17 +483,283 @@ class DesktopAuthService {
             return true;
         } catch (error) {
             console.error('Login error:', error);
-            this.authState = 'unauthenticated';
+            this.endLoginAttempt();
+            return false;
+        }
+    }
+
+    /**
+     * Start a device-code login: the main window shows a short code that the user enters
+     * on another device (phone, another computer), while this app polls the token endpoint.
+     * For machines whose browser can't hand a deep link or redirect back to the app.
+     * @returns {Promise<{ userCode: string, verificationUri: string, verificationUriComplete: string|null, expiresAt: number }|null>}
+     */
+    async startDeviceLogin() {
+        this.stopAuthMonitoring();
+
+        try {
+            const response = await fetch(`${this.baseUrl}/api/auth/device/code`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ source: 'desktop' })
+            });
+            if (!response.ok) {
+                throw new Error(`Device code request failed: HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            if (!data.device_code || !data.user_code || !data.verification_uri) {
+                throw new Error('Invalid device code response');
+            }
+
+            this.deviceLogin = {
+                deviceCode: data.device_code,
+                userCode: data.user_code,
+                verificationUri: data.verification_uri,
+                verificationUriComplete: data.verification_uri_complete || null,
+                expiresAt: Date.now() + (data.expires_in || 600) * 1000,
+                intervalMs: Math.max(DEVICE_POLL_INTERVAL_MS, (data.interval || 0) * 1000),
+                timer: null
+            };
+            this.scheduleDevicePoll(this.deviceLogin);
+
+            console.log('Device login started, waiting for approval');
+            this.authState = 'authenticating';
             this.notifyListeners();
+            return this.getDeviceLogin();
+        } catch (error) {
+            console.error('Device login error:', error);
+            if (this.authState === 'authenticating') {
+                this.endLoginAttempt();
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Get the code and URL to show for the device-code login in progress
+     */
+    getDeviceLogin() {
+        if (!this.deviceLogin) return null;
+
+        const { userCode, verificationUri, verificationUriComplete, expiresAt } = this.deviceLogin;
+        return { userCode, verificationUri, verificationUriComplete, expiresAt };
+    }
+
+    scheduleDevicePoll(deviceLogin) {
+        deviceLogin.timer = setTimeout(() => this.pollDeviceLogin(deviceLogin), deviceLogin.intervalMs);
+    }
+
+    /**
+     * Ask the token endpoint whether the user has approved the device code yet
+     */
+    async pollDeviceLogin(deviceLogin) {
+        if (this.deviceLogin !== deviceLogin) return;
+
+        if (Date.now() > deviceLogin.expiresAt) {
+            this.failDeviceLogin('Device code expired');
+            return;
+        }
+
+        let response = null;
+        let data = null;
+        try {
+            response = await fetch(`${this.baseUrl}/api/auth/token`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    grant_type: DEVICE_CODE_GRANT,
+                    device_code: deviceLogin.deviceCode,
+                    source: 'desktop'
+                })
+            });
+            data = await response.json();
+        } catch (error) {
+            // Offline for a moment - keep polling until the code expires
+            console.error('Device login poll error:', error);
+        }
+
+        // Cancelled or replaced while the request was out
+        if (this.deviceLogin !== deviceLogin) return;
+
+        if (response && response.ok) {
+            await this.completeDeviceLogin(data);
+            return;
+        }
+
+        const error = data?.error;
+        if (!response || error === 'authorization_pending') {
+            this.scheduleDevicePoll(deviceLogin);
+        } else if (error === 'slow_down') {
+            deviceLogin.intervalMs += DEVICE_POLL_INTERVAL_MS;
+            this.scheduleDevicePoll(deviceLogin);
+        } else {
+            // access_denied, expired_token, or anything else the server won't recover from
+            this.failDeviceLogin(error || `HTTP ${response.status}`);
+        }
+    }
+
+    async completeDeviceLogin(data) {
+        try {
+            if (!data?.tokens?.access_token) {
+                throw new Error('No tokens in device login response');
+            }
+
+            const user = data.user || await this.fetchUserData(data.tokens.access_token);
+            if (!user) {
+                throw new Error('Could not load the signed-in user');
+            }
+
+            this.stopAuthMonitoring();
+            await this.addAccount(user, data.tokens.access_token, data.tokens.refresh_token);
+
+            console.log('Device login completed successfully');
+            return true;
+        } catch (error) {
+            this.failDeviceLogin(error.message);
             return false;
         }
     }
 
+    failDeviceLogin(reason) {
+        console.error('Device login failed:', reason);
+        this.stopAuthMonitoring();
+        if (this.authState === 'authenticating') {
+            this.endLoginAttempt();
+        }
+    }
+
+    stopDeviceLogin() {
+        if (this.deviceLogin) {
+            clearTimeout(this.deviceLogin.timer);
+            this.deviceLogin = null;
+        }
+    }
+
+    /**
+     * Give up on the login in progress (e.g. adding an account was abandoned)
+     */
+    cancelLogin() {
+        this.pendingLogins.clear();
+        this.currentLoginUrl = null;
+        this.stopAuthMonitoring();
+
+        if (this.authState === 'authenticating') {
+            this.endLoginAttempt();
+        }
+    }
+
+    /**
+     * Start a login request: a `state` nonce the deep link has to echo back, and a
+     * PKCE verifier so only this app can redeem the code the deep link carries
+     * @param {string|null} redirectUri - loopback listener to redirect to instead of the deep link
+     * @returns {string} login URL
+     */
+    createLoginRequest(redirectUri = null) {
+        const now = Date.now();
+        this.pendingLogins.forEach((request, state) => {
+            if (now - request.createdAt > LOGIN_REQUEST_TTL_MS) this.pendingLogins.delete(state);
+        });
+
+        const state = crypto.randomBytes(32).toString('base64url');
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+        const codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+        this.pendingLogins.set(state, { codeVerifier, redirectUri, createdAt: now });
+
+        const params = new URLSearchParams({
+            source: 'desktop',
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256'
+        });
+        if (redirectUri) {
+            params.set('redirect_uri', redirectUri);
+        }
+        this.currentLoginUrl = `${this.environment.loginUrl}?${params}`;
+        return this.currentLoginUrl;
+    }
+
+    /**
+     * Look up and consume a login request (each state is accepted once)
+     * @returns {{ codeVerifier: string, redirectUri: string|null, expired: boolean } | null} null for a state this app never issued
+     */
+    takeLoginRequest(state) {
+        const request = state ? this.pendingLogins.get(state) : null;
+        if (!request) return null;
+
+        this.pendingLogins.delete(state);
+        this.currentLoginUrl = null;
+        return {
+            codeVerifier: request.codeVerifier,
+            redirectUri: request.redirectUri,
+            expired: Date.now() - request.createdAt > LOGIN_REQUEST_TTL_MS
+        };
+    }
+
+    /**
+     * Listen on a random 127.0.0.1 port for the login redirect
+     * @returns {Promise<string>} redirect URI
+     */
+    async startLoopbackRedirect() {
+        this.stopLoopbackRedirect();
+        const loopbackRedirect = new LoopbackRedirect(
+            params => this.handleLoopbackRedirect(params),
+            error => this.handleLoopbackError(loopbackRedirect, error)
+        );
+        this.loopbackRedirect = loopbackRedirect;
+        return await loopbackRedirect.start();
+    }
+
+    stopLoopbackRedirect() {
+        if (this.loopbackRedirect) {
+            this.loopbackRedirect.stop();
+            this.loopbackRedirect = null;
+        }
+    }
+
+    /**
+     * Handle a request to the loopback listener (same checks as the deep link)
+     * @returns {boolean} whether it belongs to a login in progress
+     */
+    handleLoopbackRedirect({ code, state, error }) {
+        if (!state || !this.pendingLogins.has(state)) {
+            console.warn('Ignored loopback redirect with unknown state');
+            return false;
+        }
+
+        if (error) {
+            this.handleDeepLinkError({ error, state });
+        } else {
+            this.handleAuthorizationCode({ code, state });
+        }
+        return true;
+    }
+
+    /**
+     * The loopback listener failed while waiting: the browser can't hand the login
+     * back any more, so drop the logins that were waiting for it
+     */
+    handleLoopbackError(loopbackRedirect, error) {
+        if (this.loopbackRedirect !== loopbackRedirect) return;
+
+        console.error('Login redirect failed:', error.message);
+        this.loopbackRedirect = null;
+        this.pendingLogins.forEach((request, state) => {
+            if (request.redirectUri === loopbackRedirect.redirectUri) {
+                this.pendingLogins.delete(state);
+            }
+        });
+
+        if (this.authState === 'authenticating') {
+            this.endLoginAttempt();
+        }
+    }
+
     /**
      * Get the current login URL (for manual opening)
      */
     getLoginUrl() {
-        return this.currentLoginUrl || `${this.baseUrl}/login?source=desktop`;
+        return this.currentLoginUrl || this.createLoginRequest();
     }
 
     /**
@@ -240,18 +767,13 @@ class DesktopAuthService {
      */
     async openLoginUrl() {
         const loginUrl = this.getLoginUrl();
-        if (typeof require !== 'undefined') {
-            try {
-                const { shell } = require('electron');
-                await shell.openExternal(loginUrl);
-                return true;
-            } catch (e) {
-                console.log('Could not open browser:', e);
-            }
+        try {
+            await shell.openExternal(loginUrl);
+            return true;
+        } catch (e) {
+            console.log('Could not open browser:', e);
+            return false;
         }
-        // Fallback to window.open
-        window.open(loginUrl, '_blank');
-        return true;
     }
 
     /**
@@ -264,14 +786,14 @@ class DesktopAuthService {
             clearInterval(this.authInterval);
         }
 
-        console.log('Started authentication monitoring (deep link expected)');
+        console.log(`Started authentication monitoring (${this.redirectMode} redirect expected)`);
         
         // Set a timeout to stop monitoring after 5 minutes
         this.authTimeout = setTimeout(() => {
+            this.stopLoopbackRedirect();
             if (this.authState === 'authenticating') {
-                console.log('Authentication monitoring timeout - no deep link received');
-                this.authState = 'unauthenticated';
-                this.notifyListeners();
+                console.log(`Authentication monitoring timeout - no ${this.redirectMode === 'loopback' ? 'loopback redirect' : 'deep link'} received`);
+                this.endLoginAttempt();
             }
             
             if (this.authInterval) {
@@ -294,162 +816,213 @@ class DesktopAuthService {
             clearTimeout(this.authTimeout);
             this.authTimeout = null;
         }
+
+        this.stopLoopbackRedirect();
+        this.stopDeviceLogin();
         
         console.log('Stopped authentication monitoring');
     }
 
     /**
-     * Fetch user data from API
+     * Fetch the user an access token belongs to
+     * @param {{ throwIfUnavailable?: boolean }} [options] - throw when the server can't be reached
+     *   (or is failing) instead of returning null, to tell that apart from a refused token
+     * @returns {Promise<Object|null>}
      */
-    async fetchUserData() {
+    async fetchUserData(accessToken, { throwIfUnavailable = false } = {}) {
+        let response;
         try {
-            const token = await this.getAccessToken();
-            if (!token) return false;
-
-            const response = await fetch(`${this.baseUrl}/api/auth/status?source=desktop`, {
+            response = await fetch(`${this.baseUrl}/api/auth/status?source=desktop`, {
                 method: 'GET',
                 headers: {
-                    'Authorization': `Bearer ${token}`,
+                    'Authorization': `Bearer ${accessToken}`,
                     'Content-Type': 'application/json'
                 }
             });
+        } catch (error) {
+            console.error('Error fetching user data:', error);
+            if (throwIfUnavailable) throw error;
+            return null;
+        }
+
+        if (throwIfUnavailable && (response.status >= 500 || response.status === 429)) {
+            throw new Error(`User lookup failed: HTTP ${response.status}`);
+        }
 
+        try {
             if (response.ok) {
                 const data = await response.json();
                 if (data.status === 'success' && data.user) {
-                    await this.updateUserData(data.user);
-                    this.authState = 'authenticated';
-                    this.notifyListeners();
-                    
-                    this.stopAuthMonitoring();
-                    
-                    return true;
-                } else {
-                    console.error('Invalid user data response:', data);
-                    return false;
+                    return data.user;
                 }
+                console.error('Invalid user data response:', data);
             } else {
                 console.error('Failed to fetch user data:', response.status);
-                return false;
             }
         } catch (error) {
             console.error('Error fetching user data:', error);
-            return false;
         }
+        return null;
     }
 
     /**
      * Refresh access token
+     * Concurrent callers share a single in-flight refresh, since the refresh token
+     * may be rotated by the first request that uses it.
+     * A refresh token the server refuses signs the account out. When the server can't be
+     * reached (or is failing) the account stays signed in and the refresh is retried later.
+     * @returns {Promise<boolean>} whether new tokens were stored
      */
-    async refreshAccessToken(retryCount = 0) {
-        try {
-            const refreshToken = localStorage.getItem(this.storageKeys.REFRESH_TOKEN);
-            if (!refreshToken) {
-                await this.clearAuthData();
-                return false;
-            }
+    async refreshAccessToken(accountId = this.activeAccountId) {
+        // The server asked us to wait (429 / 503 with Retry-After)
+        if ((this.refreshBackoff.get(accountId)?.retryAt || 0) > Date.now()) return false;
 
-            const response = await fetch(`${this.baseUrl}/api/auth/refresh`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    refreshToken: refreshToken
-                })
+        let refresh = this.refreshPromises.get(accountId);
+        if (!refresh) {
+            refresh = this.performTokenRefresh(accountId).finally(() => {
+                if (this.refreshPromises.get(accountId) === refresh) {
+                    this.refreshPromises.delete(accountId);
+                }
             });
+            this.refreshPromises.set(accountId, refresh);
+        }
+        return refresh;
+    }
 
-            if (response.ok) {
-                const data = await response.json();
-                await this.storeTokens(data.tokens?.access_token, data.tokens?.refresh_token);
-                return true;
-            } else {
-                console.error('Token refresh failed:', response.status);
-                await this.clearAuthData();
-                return false;
-            }
+    async performTokenRefresh(accountId, retryCount = 0) {
+        const tokenVault = this.getTokenVault(accountId);
+        if (!tokenVault) return false;
+
+        const refreshToken = tokenVault.getRefreshToken();
+        if (!refreshToken) {
+            console.error('Token refresh failed: no refresh token');
+            this.clearAccountData(accountId);
+            return false;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}/api/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken })
+            });
         } catch (error) {
             console.error('Token refresh error:', error);
             if (retryCount < 2) {
                 // Retry up to 2 times
-                return await this.refreshAccessToken(retryCount + 1);
+                return await this.performTokenRefresh(accountId, retryCount + 1);
             }
-            await this.clearAuthData();
+            // Network failure - keep the session so cached tasks stay available offline
+            this.scheduleRefreshRetry(accountId);
+            return false;
+        }
+
+        if (REFRESH_REJECTED_STATUSES.includes(response.status)) {
+            console.error('Token refresh rejected:', response.status);
+            this.clearAccountData(accountId);
+            return false;
+        }
+
+        if (!response.ok) {
+            // Server trouble or rate limiting - the refresh token may well be fine
+            console.error('Token refresh failed:', response.status);
+            this.scheduleRefreshRetry(accountId, parseRetryAfter(response.headers.get('retry-after')));
             return false;
         }
-    }
 
-    /**
-     * Handle authentication completion (called from main process)
-     */
-    async handleAuthCompletion(tokens, userData) {
         try {
-            await this.storeTokens(tokens.accessToken, tokens.refreshToken);
-            await this.updateUserData(userData);
-            this.authState = 'authenticated';
-            this.notifyListeners();
-            
-            this.stopAuthMonitoring();
-            
+            const data = await response.json();
+            await this.storeTokens(data.tokens?.access_token, data.tokens?.refresh_token, accountId);
+            this.refreshBackoff.delete(accountId);
             return true;
         } catch (error) {
-            console.error('Auth completion error:', error);
-            this.authState = 'unauthenticated';
-            this.notifyListeners();
+            console.error('Invalid token refresh response:', error);
+            this.scheduleRefreshRetry(accountId);
             return false;
         }
     }
 
     /**
-     * Handle deep link authentication completion
+     * Handle the deep link that completes a login: check its state, then exchange
+     * the one-time code (with the PKCE verifier) for tokens
      */
-    async handleDeepLinkAuth(authData) {
+    async handleAuthorizationCode({ code, state }) {
+        const request = this.takeLoginRequest(state);
+        if (!request) {
+            // Not started by this app - possibly a forged link trying to sign in to another account
+            console.warn('Rejected login link with unknown state');
+            return false;
+        }
+        if (request.expired) {
+            this.handleDeepLinkError({ error: 'Login link expired' });
+            return false;
+        }
+
         try {
-            console.log('Handling deep link authentication:', authData);
-            
-            // Handle direct token data
-            if (authData.accessToken && authData.refreshToken) {
-                await this.storeTokens(authData.accessToken, authData.refreshToken);
-                
-                if (authData.userData) {
-                    await this.updateUserData(authData.userData);
-                } else {
-                    await this.fetchUserData();
-                }
-                
-                this.authState = 'authenticated';
-                this.notifyListeners();
-                this.stopAuthMonitoring();
-                
-                console.log('Token-based authentication completed successfully');
-                return true;
+            const response = await fetch(`${this.baseUrl}/api/auth/token`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    grant_type: 'authorization_code',
+                    code,
+                    code_verifier: request.codeVerifier,
+                    ...(request.redirectUri ? { redirect_uri: request.redirectUri } : {}),
+                    source: 'desktop'
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`Code exchange failed: HTTP ${response.status}`);
             }
-            
-            throw new Error('No valid authentication data received');
+
+            const data = await response.json();
+            if (!data.tokens?.access_token) {
+                throw new Error('No tokens in code exchange response');
+            }
+
+            const user = data.user || await this.fetchUserData(data.tokens.access_token);
+            if (!user) {
+                throw new Error('Could not load the signed-in user');
+            }
+
+            // Any other login still open in the browser is moot now
+            this.pendingLogins.clear();
+            this.stopAuthMonitoring();
+            // Adds the account next to any already signed in, and switches to it
+            await this.addAccount(user, data.tokens.access_token, data.tokens.refresh_token);
+
+            console.log('Authorization code login completed successfully');
+            return true;
         } catch (error) {
-            console.error('Deep link auth completion error:', error);
-            this.authState = 'unauthenticated';
-            this.notifyListeners();
+            console.error('Authorization code login error:', error);
+            this.endLoginAttempt();
             return false;
         }
     }
 
-
     /**
      * Handle deep link authentication error
+     * @param {{ error: string, state?: string }} error - links carrying a state are only honoured if this app issued it
      */
     handleDeepLinkError(error) {
-        console.error('Deep link authentication error:', error);
-        this.authState = 'unauthenticated';
-        this.notifyListeners();
+        if (error.state !== undefined && !this.takeLoginRequest(error.state)) {
+            console.warn('Ignored login error link with unknown state');
+            return;
+        }
+
+        console.error('Deep link authentication error:', error.error);
+        if (this.authState === 'authenticating') {
+            this.endLoginAttempt();
+        }
     }
 
     /**
-     * Logout user
+     * Log an account out (the active one by default)
      */
-    async logout() {
+    async logout(accountId = this.activeAccountId) {
         try {
-            const token = await this.getAccessToken();
+            const token = await this.getAccessToken(accountId);
             if (token) {
                 // Call logout endpoint
                 await fetch(`${this.baseUrl}/api/auth/logout`, {
@@ -463,17 +1036,7 @@ class DesktopAuthService {
         } catch (error) {
             console.error('Logout API error:', error);
         } finally {
-            await this.clearAuthData();
-            
-            // Notify main process to update widget auth state
-            if (typeof require !== 'undefined') {
-                try {
-                    const { ipcRenderer } = require('electron');
-                    ipcRenderer.send('update-auth-state-after-logout');
-                } catch (e) {
-                    console.log('Could not send logout notification:', e);
-                }
-            }
+            this.clearAccountData(accountId);
         }
     }
 
@@ -500,9 +1063,6 @@ class DesktopAuthService {
     notifyListeners() {
         console.log('🔔 Notifying auth listeners - Auth state:', this.authState, 'User:', this.user ? 'Present' : 'None', 'Listeners:', this.listeners.length);
         
-        // Persist auth state to localStorage
-        localStorage.setItem(this.storageKeys.AUTH_STATE, this.authState);
-        
         this.listeners.forEach((callback, index) => {
             try {
                 console.log(`🔔 Calling listener ${index + 1}/${this.listeners.length}`);
@@ -536,19 +1096,10 @@ class DesktopAuthService {
             refreshToken: 'mock-refresh-token-' + Date.now()
         };
         
-        await this.storeTokens(mockTokens.accessToken, mockTokens.refreshToken);
-        await this.updateUserData(mockUser);
-        this.authState = 'authenticated';
-        this.notifyListeners();
+        await this.addAccount(mockUser, mockTokens.accessToken, mockTokens.refreshToken);
         
         return true;
     }
 }
 
-// Create global instance
-window.desktopAuthService = new DesktopAuthService();
-
-// Export for module usage
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = DesktopAuthService;
-}
+module.exports = DesktopAuthService;
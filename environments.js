@@ -0,0 +1,106 @@
+/**
+ * Environment Profiles for Desktop App
+ * Named backends the app can talk to. The active profile is picked (highest first) by:
+ *   1. the `--env=<name>` command line flag
+ *   2. the PRIMITIV_ENV environment variable
+ *   3. the `environment` entry in settings.json
+ * and falls back to production. `--base-url=<url>` / PRIMITIV_BASE_URL / the `baseUrl`
+ * settings entry override the profile's URL (e.g. a stand-in server on another port).
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+
+const DEFAULT_ENVIRONMENT = 'production';
+
+const ENVIRONMENTS = {
+    production: {
+        label: 'Production',
+        baseUrl: 'https://primitiv.tools'
+    },
+    staging: {
+        label: 'Staging',
+        baseUrl: 'https://staging.primitiv.tools'
+    },
+    local: {
+        label: 'Local',
+        baseUrl: 'http://localhost:3000'
+    }
+};
+
+/**
+ * Read a `--name=value` or `--name value` command line flag
+ */
+function getFlagValue(argv, name) {
+    const flag = `--${name}`;
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith(`${flag}=`)) {
+            return argv[i].slice(flag.length + 1);
+        }
+        if (argv[i] === flag && argv[i + 1] && !argv[i + 1].startsWith('--')) {
+            return argv[i + 1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Build a full environment (API, login and dashboard URLs) from a profile name
+ */
+function buildEnvironment(name, baseUrlOverride = null) {
+    const profile = ENVIRONMENTS[name];
+    const baseUrl = (baseUrlOverride || profile.baseUrl).replace(/\/+$/, '');
+
+    return {
+        name,
+        label: profile.label,
+        baseUrl,
+        loginUrl: `${baseUrl}/login`,
+        dashboardUrl: `${baseUrl}/dashboard`
+    };
+}
+
+/**
+ * Resolve the active environment
+ * @param {{ argv?: string[], env?: Object, settings?: Object }} sources
+ */
+function resolveEnvironment({ argv = [], env = {}, settings = {} } = {}) {
+    const requested = getFlagValue(argv, 'env') || env.PRIMITIV_ENV || settings.environment || DEFAULT_ENVIRONMENT;
+
+    let name = requested;
+    if (!ENVIRONMENTS[name]) {
+        console.warn(`Unknown environment "${requested}", falling back to ${DEFAULT_ENVIRONMENT}`);
+        name = DEFAULT_ENVIRONMENT;
+    }
+
+    const baseUrlOverride = getFlagValue(argv, 'base-url') || env.PRIMITIV_BASE_URL || settings.baseUrl || null;
+
+    return buildEnvironment(name, baseUrlOverride);
+}
+
+/**
+ * Directory (relative to userData) for the accounts signed in to an environment, so
+ * tokens issued by one backend are never sent to another. Production on its own URL
+ * keeps the top level, where versions without environments stored its accounts.
+ * An environment can name its own directory with `storageDirectory`.
+ */
+function getEnvironmentDirectory(environment) {
+    if (typeof environment.storageDirectory === 'string') {
+        return environment.storageDirectory;
+    }
+    if (environment.name === DEFAULT_ENVIRONMENT && environment.baseUrl === ENVIRONMENTS[DEFAULT_ENVIRONMENT].baseUrl) {
+        return '';
+    }
+
+    const key = crypto.createHash('sha256').update(environment.baseUrl).digest('hex').slice(0, 16);
+    return path.join('environments', `${environment.name}-${key}`);
+}
+
+module.exports = {
+    ENVIRONMENTS,
+    DEFAULT_ENVIRONMENT,
+    getFlagValue,
+    buildEnvironment,
+    resolveEnvironment,
+    getEnvironmentDirectory
+};
@@ -0,0 +1,92 @@
+/**
+ * Local Store for Desktop App
+ * Small JSON file persisted in the app's userData directory (main process only)
+ */
+
+const { app } = require('electron');
+const fs = require('fs');
+const path = require('path');
+
+class LocalStore {
+    /**
+     * @param {string} fileName - file name in userData
+     * @param {Object} defaults - initial contents
+     * @param {{ mode?: number }} options - file permissions (e.g. 0o600 for secrets)
+     */
+    constructor(fileName, defaults = {}, options = {}) {
+        this.filePath = path.join(app.getPath('userData'), fileName);
+        this.defaults = defaults;
+        this.mode = options.mode;
+        this.data = null;
+    }
+
+    /**
+     * Load data from disk (lazily, on first access)
+     */
+    load() {
+        if (this.data) return this.data;
+
+        try {
+            const raw = fs.readFileSync(this.filePath, 'utf8');
+            this.data = { ...this.cloneDefaults(), ...JSON.parse(raw) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read ${this.filePath}, starting fresh:`, error);
+            }
+            this.data = this.cloneDefaults();
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Get a top-level value
+     */
+    get(key) {
+        return this.load()[key];
+    }
+
+    /**
+     * Set a top-level value and persist
+     */
+    set(key, value) {
+        this.load()[key] = value;
+        this.save();
+    }
+
+    /**
+     * Remove a top-level value and persist
+     */
+    delete(key) {
+        delete this.load()[key];
+        this.save();
+    }
+
+    /**
+     * Reset to defaults and persist
+     */
+    clear() {
+        this.data = this.cloneDefaults();
+        this.save();
+    }
+
+    /**
+     * Write data to disk (temp file + rename so a crash never leaves half a file)
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmpPath, JSON.stringify(this.load(), null, 2), this.mode ? { mode: this.mode } : undefined);
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (error) {
+            console.error(`Failed to write ${this.filePath}:`, error);
+        }
+    }
+
+    cloneDefaults() {
+        return JSON.parse(JSON.stringify(this.defaults));
+    }
+}
+
+module.exports = LocalStore;
@@ -0,0 +1,101 @@
+/**
+ * Loopback Redirect for Desktop App
+ * One-shot HTTP listener on 127.0.0.1 (random port) that receives the login redirect
+ * from the browser. Used instead of the primitiv-desktop:// deep link when the
+ * protocol handler could not be registered (e.g. an AppImage without a .desktop file).
+ */
+
+const http = require('http');
+
+const CALLBACK_PATH = '/callback';
+
+function renderResultPage(title, message) {
+    return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>${title}</title></head>
+<body style="font-family: sans-serif; padding: 40px;">
+    <h1>${title}</h1>
+    <p>${message}</p>
+</body></html>`;
+}
+
+class LoopbackRedirect {
+    /**
+     * @param {(params: { code: string|null, state: string|null, error: string|null }) => boolean} onRedirect -
+     *   returns whether the redirect belongs to a login in progress; the listener stays up until one does
+     * @param {(error: Error) => void} [onError] - the listener failed after it started (and has been closed)
+     */
+    constructor(onRedirect, onError = null) {
+        this.onRedirect = onRedirect;
+        this.onError = onError;
+        this.server = null;
+        this.redirectUri = null;
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<string>} the redirect URI to send with the login request
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            const server = http.createServer((req, res) => this.handleRequest(req, res));
+            this.server = server;
+            server.once('error', reject);
+            server.listen(0, '127.0.0.1', () => {
+                server.off('error', reject);
+                server.on('error', error => this.handleServerError(server, error));
+                this.redirectUri = `http://127.0.0.1:${server.address().port}${CALLBACK_PATH}`;
+                console.log(`Listening for login redirect on ${this.redirectUri}`);
+                resolve(this.redirectUri);
+            });
+        });
+    }
+
+    stop() {
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    handleServerError(server, error) {
+        console.error('Login redirect listener failed:', error);
+        server.close();
+        if (this.server !== server) return;
+
+        this.server = null;
+        if (this.onError) this.onError(error);
+    }
+
+    handleRequest(req, res) {
+        const url = new URL(req.url, 'http://127.0.0.1');
+        if (req.method !== 'GET' || url.pathname !== CALLBACK_PATH) {
+            res.writeHead(404, { 'Content-Type': 'text/plain', 'Connection': 'close' });
+            res.end('Not found');
+            return;
+        }
+
+        const params = {
+            code: url.searchParams.get('code'),
+            state: url.searchParams.get('state'),
+            error: url.searchParams.get('error')
+        };
+
+        // No keep-alive, so nothing can reach the listener once it is stopped
+        const headers = { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store', 'Connection': 'close' };
+        if (!this.onRedirect(params)) {
+            res.writeHead(400, headers);
+            res.end(renderResultPage('Unknown sign-in request', 'Start signing in again from Primitiv Desktop.'));
+            return;
+        }
+
+        res.writeHead(200, headers);
+        res.end(params.error
+            ? renderResultPage('Sign-in failed', 'Return to Primitiv Desktop and try again.')
+            : renderResultPage('Signed in', 'You can close this tab and return to Primitiv Desktop.'));
+
+        // Stop accepting connections; the browser's response finishes on its own
+        this.stop();
+    }
+}
+
+module.exports = LoopbackRedirect;
@@ -1,6 +1,36 @@
-const { app, BrowserWindow, screen, ipcMain, protocol } = require('electron');
+const { app, BrowserWindow, screen, ipcMain, protocol, dialog, powerMonitor, globalShortcut, Tray, Menu, nativeImage, shell } = require('electron');
 const { autoUpdater } = require('electron-updater');
 const path = require('path');
+const LocalStore = require('./localStore');
+const AccountStore = require('./accountStore');
+const DesktopAuthService = require('./auth');
+const ApiBridge = require('./apiBridge');
+const { resolveEnvironment, buildEnvironment, getFlagValue } = require('./environments');
+const MockBackend = require('./mockBackend');
+const QuietHours = require('./quietHours');
+
+// In-process mock backend for development and testing (--mock-backend) - see mockBackend.js.
+// Never in packaged builds; it keeps its own userData so mock sign-ins, caches and settings
+// stay apart from (and can't sign out) the real accounts.
+const useMockBackend = !app.isPackaged && process.argv.includes('--mock-backend');
+let mockBackend = null;
+
+if (useMockBackend) {
+  app.setPath('userData', path.join(app.getPath('userData'), 'mock-backend'));
+} else if (process.argv.includes('--mock-backend')) {
+  console.warn('Ignoring --mock-backend: the mock backend is only available in development builds');
+}
+
+// User settings persisted across restarts (settings.json in userData)
+const settingsStore = new LocalStore('settings.json');
+
+// Backend environment (production, staging, local) - see environments.js
+let activeEnvironment = resolveEnvironment({
+  argv: process.argv,
+  env: process.env,
+  settings: settingsStore.load()
+});
+console.log(`Using ${activeEnvironment.label} environment: ${activeEnvironment.baseUrl}`);
 
 // Prevent multiple instances - following official Electron pattern
 const gotTheLock = app.requestSingleInstanceLock();
@@ -42,6 +72,7 @@ function cleanupWidgets() {
   try {
     if (widgetWindow && !widgetWindow.isDestroyed()) {
       console.log('Cleaning up existing widget');
+      flushWidgetBounds();
       widgetWindow.removeAllListeners();
       widgetWindow.destroy();
       widgetWindow = null;
@@ -74,34 +105,36 @@ function createWidget() {
     return widgetWindow;
   }
   
-  // Get primary display dimensions
-  const { width, height } = screen.getPrimaryDisplay().workAreaSize;
-
   // Widget dimensions
   const widgetWidth = 54;
   const widgetHeight = 110;
 
+  // Where the user left it last time, or the middle of the primary display's right edge
+  const bounds = getSavedWidgetBounds(widgetWidth, widgetHeight) || getDefaultWidgetBounds(widgetWidth, widgetHeight);
+
   widgetWindow = new BrowserWindow({
-    width: widgetWidth,
-    height: widgetHeight,
-    x: width - widgetWidth - 20, // Position at middle-bottom
-    y: Math.floor((height - widgetHeight) / 2),
+    width: bounds.width,
+    height: bounds.height,
+    x: bounds.x,
+    y: bounds.y,
     frame: false, // Remove window frame
     transparent: true, // Make window transparent
-    // Removed alwaysOnTop to allow normal window behavior
+    // Stacking and workspaces follow the visibility setting (see applyVisibilityMode)
     resizable: false,
     skipTaskbar: false, // Show in taskbar as the main application window
     icon: path.join(__dirname, 'imgs', 'primitiv_logo.png'),
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      enableRemoteModule: true
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
     }
   });
 
   widgetWindow.loadFile('widget.html');
 
-  // Widget now follows normal window behavior
+  applyVisibilityMode(widgetWindow);
+  updateWidgetOpacity();
 
   // Set minimum size to prevent issues
   widgetWindow.setMinimumSize(widgetWidth, widgetHeight);
@@ -109,21 +142,116 @@ function createWidget() {
   // Ensure widget starts within screen bounds
   ensureWidgetInBounds();
 
+  // Remember where the widget is dragged (and its size) for the next launch
+  widgetWindow.on('move', scheduleWidgetBoundsSave);
+  widgetWindow.on('resize', scheduleWidgetBoundsSave);
+
   // For development - open DevTools
   if (process.argv.includes('--dev')) {
     widgetWindow.webContents.openDevTools({ mode: 'detach' });
   }
 }
 
+// Saved widget bounds - settings.json "widgetBounds": { x, y, width, height, displayId, workArea }
+const WIDGET_BOUNDS_SAVE_DELAY_MS = 500;
+let widgetBoundsSaveTimer = null;
+
+function getDefaultWidgetBounds(widgetWidth, widgetHeight) {
+  const { x, y, width, height } = screen.getPrimaryDisplay().workArea;
+  return {
+    x: x + width - widgetWidth - 20, // Position at middle-bottom
+    y: y + Math.floor((height - widgetHeight) / 2),
+    width: widgetWidth,
+    height: widgetHeight
+  };
+}
+
+// Saved bounds on the display they were saved on. If that display is no longer
+// connected, the widget keeps its relative place (e.g. right edge, a third of the
+// way down) on the primary display instead; ensureWidgetInBounds clamps the rest.
+function getSavedWidgetBounds(minWidth, minHeight) {
+  const saved = settingsStore.get('widgetBounds');
+  if (!saved || ![saved.x, saved.y, saved.width, saved.height].every(Number.isFinite)) {
+    return null;
+  }
+
+  const width = Math.max(minWidth, saved.width);
+  const height = Math.max(minHeight, saved.height);
+  const display = screen.getAllDisplays().find(candidate => candidate.id === saved.displayId);
+  if (display) {
+    return { x: saved.x, y: saved.y, width, height };
+  }
+
+  const primaryArea = screen.getPrimaryDisplay().workArea;
+  const savedArea = saved.workArea;
+  if (!savedArea || !(savedArea.width > width) || !(savedArea.height > height)) {
+    return { ...getDefaultWidgetBounds(minWidth, minHeight), width, height };
+  }
+
+  console.log(`Display ${saved.displayId} not found, moving widget to the primary display`);
+  const relativeX = Math.min(1, Math.max(0, (saved.x - savedArea.x) / (savedArea.width - width)));
+  const relativeY = Math.min(1, Math.max(0, (saved.y - savedArea.y) / (savedArea.height - height)));
+  return {
+    x: Math.round(primaryArea.x + relativeX * (primaryArea.width - width)),
+    y: Math.round(primaryArea.y + relativeY * (primaryArea.height - height)),
+    width,
+    height
+  };
+}
+
+// Moves arrive once per drag step, so only the position the widget settles at is written
+function scheduleWidgetBoundsSave() {
+  clearTimeout(widgetBoundsSaveTimer);
+  widgetBoundsSaveTimer = setTimeout(saveWidgetBounds, WIDGET_BOUNDS_SAVE_DELAY_MS);
+}
+
+function saveWidgetBounds() {
+  widgetBoundsSaveTimer = null;
+  if (!widgetWindow || widgetWindow.isDestroyed()) return;
+
+  // Hidden docked widgets are saved where they show, not slid off the edge
+  const bounds = widgetHidden ? { ...widgetWindow.getBounds(), ...getDockedPosition(false) } : widgetWindow.getBounds();
+  const display = screen.getDisplayMatching(bounds);
+  settingsStore.set('widgetBounds', { ...bounds, displayId: display.id, workArea: display.workArea });
+}
+
+// Write a pending save right away (the app is quitting or the widget is being replaced)
+function flushWidgetBounds() {
+  if (widgetBoundsSaveTimer) {
+    clearTimeout(widgetBoundsSaveTimer);
+    saveWidgetBounds();
+  }
+}
+
+// Work area of the display showing most of the given bounds (or nearest to them).
+// Secondary displays don't start at 0,0, so positions must include its x/y origin.
+function getWorkAreaFor(bounds) {
+  return screen.getDisplayMatching(bounds).workArea;
+}
+
+// The widget's display is where the panel opens and where new windows are placed
+function getWidgetWorkArea() {
+  if (!widgetWindow || widgetWindow.isDestroyed()) {
+    return screen.getPrimaryDisplay().workArea;
+  }
+  return getWorkAreaFor(widgetWindow.getBounds());
+}
+
 // Ensure widget stays within screen bounds
 function ensureWidgetInBounds() {
-  if (!widgetWindow) return;
+  if (!widgetWindow || widgetWindow.isDestroyed()) return;
+
+  // A docked widget goes back to its edge (of whichever display it is on now)
+  if (getWidgetDock()) {
+    applyWidgetDock();
+    return;
+  }
   
   const [currentX, currentY] = widgetWindow.getPosition();
   const [widgetWidth, widgetHeight] = widgetWindow.getSize();
   
-  // Get screen dimensions
-  const { width: screenWidth, height: screenHeight } = screen.getPrimaryDisplay().workAreaSize;
+  // Work area of the display the widget is on (or nearest to, if it ended up off-screen)
+  const { x: areaX, y: areaY, width: screenWidth, height: screenHeight } = getWidgetWorkArea();
   
   // Constrain to screen bounds with margin
   const margin = 8;
@@ -133,20 +261,20 @@ function ensureWidgetInBounds() {
   let needsUpdate = false;
   
   // Check horizontal bounds
-  if (currentX < margin) {
-    newX = margin;
+  if (currentX < areaX + margin) {
+    newX = areaX + margin;
     needsUpdate = true;
-  } else if (currentX + widgetWidth > screenWidth - margin) {
-    newX = screenWidth - widgetWidth - margin;
+  } else if (currentX + widgetWidth > areaX + screenWidth - margin) {
+    newX = areaX + screenWidth - widgetWidth - margin;
     needsUpdate = true;
   }
   
   // Check vertical bounds (especially important)
-  if (currentY < margin) {
-    newY = margin;
+  if (currentY < areaY + margin) {
+    newY = areaY + margin;
     needsUpdate = true;
-  } else if (currentY + widgetHeight > screenHeight - margin) {
-    newY = screenHeight - widgetHeight - margin;
+  } else if (currentY + widgetHeight > areaY + screenHeight - margin) {
+    newY = areaY + screenHeight - widgetHeight - margin;
     needsUpdate = true;
   }
   
@@ -157,6 +285,278 @@ function ensureWidgetInBounds() {
   }
 }
 
+// After a display change: bring the widget back onto a connected display and keep an
+// open panel on the same display as the widget
+function reanchorWindows() {
+  ensureWidgetInBounds();
+
+  if (!mainWindow || mainWindow.isDestroyed() || !mainWindow.isVisible()) return;
+
+  const { x: areaX, y: areaY, width: screenWidth, height: screenHeight } = getWidgetWorkArea();
+  const [currentX, currentY] = mainWindow.getPosition();
+  const [currentWidth, currentHeight] = mainWindow.getSize();
+  const margin = 20;
+
+  const newX = Math.max(areaX + margin, Math.min(currentX, areaX + screenWidth - currentWidth - margin));
+  const newY = Math.max(areaY + margin, Math.min(currentY, areaY + screenHeight - currentHeight - margin));
+  if (newX !== currentX || newY !== currentY) {
+    mainWindow.setPosition(newX, newY);
+    console.log(`Main window moved back onto the widget's display: ${newX}, ${newY}`);
+  }
+}
+
+// Edge docking - a widget dragged within DOCK_SNAP_THRESHOLD of a work-area edge snaps to it
+// and stays docked there (settings.json "widgetDock": 'left', 'bottom-right', ... or null).
+// With "widgetAutoHide" on, a docked widget slides off-screen until the pointer reaches the
+// strip that is left showing.
+const DOCK_SNAP_THRESHOLD = 24;
+const DOCK_MARGIN = 8; // Same gap to the edge as ensureWidgetInBounds keeps
+const AUTO_HIDE_PEEK = 6; // Pixels left on screen while hidden
+const AUTO_HIDE_DELAY_MS = 800;
+const SLIDE_DURATION_MS = 150;
+const DOCK_POSITIONS = ['left', 'right', 'top', 'bottom', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+let widgetDragPosition = null; // Unsnapped position while the widget is being dragged
+let widgetHidden = false;
+let widgetHovered = false;
+let autoHideTimer = null;
+let slideTimer = null;
+
+function getWidgetDock() {
+  const dock = settingsStore.get('widgetDock');
+  return DOCK_POSITIONS.includes(dock) ? dock : null;
+}
+
+// 'bottom-right' -> { vertical: 'bottom', horizontal: 'right' }
+function getDockEdges(dock) {
+  const parts = (dock || '').split('-');
+  return {
+    vertical: parts.find(part => part === 'top' || part === 'bottom') || null,
+    horizontal: parts.find(part => part === 'left' || part === 'right') || null
+  };
+}
+
+// Corners hide sideways, like the left and right edges
+function getHideEdge(dock) {
+  const { vertical, horizontal } = getDockEdges(dock);
+  return horizontal || vertical;
+}
+
+// Pull a position onto the edges it is close to; returns the position and the resulting dock
+function snapToEdges(x, y, width, height) {
+  const area = getWorkAreaFor({ x, y, width, height });
+  const left = area.x + DOCK_MARGIN;
+  const right = area.x + area.width - width - DOCK_MARGIN;
+  const top = area.y + DOCK_MARGIN;
+  const bottom = area.y + area.height - height - DOCK_MARGIN;
+
+  let horizontal = null;
+  let vertical = null;
+  if (Math.abs(x - left) <= DOCK_SNAP_THRESHOLD) {
+    x = left;
+    horizontal = 'left';
+  } else if (Math.abs(x - right) <= DOCK_SNAP_THRESHOLD) {
+    x = right;
+    horizontal = 'right';
+  }
+  if (Math.abs(y - top) <= DOCK_SNAP_THRESHOLD) {
+    y = top;
+    vertical = 'top';
+  } else if (Math.abs(y - bottom) <= DOCK_SNAP_THRESHOLD) {
+    y = bottom;
+    vertical = 'bottom';
+  }
+
+  return { x, y, dock: [vertical, horizontal].filter(Boolean).join('-') || null };
+}
+
+// Where the docked widget sits when shown, or when slid off-screen (hidden)
+function getDockedPosition(hidden) {
+  const [currentX, currentY] = widgetWindow.getPosition();
+  const [width, height] = widgetWindow.getSize();
+  const area = getWidgetWorkArea();
+  const dock = getWidgetDock();
+  const { vertical, horizontal } = getDockEdges(dock);
+
+  // Along the docked edge the widget keeps its place, within the work area
+  let x = Math.max(area.x + DOCK_MARGIN, Math.min(currentX, area.x + area.width - width - DOCK_MARGIN));
+  let y = Math.max(area.y + DOCK_MARGIN, Math.min(currentY, area.y + area.height - height - DOCK_MARGIN));
+  if (horizontal === 'left') x = area.x + DOCK_MARGIN;
+  if (horizontal === 'right') x = area.x + area.width - width - DOCK_MARGIN;
+  if (vertical === 'top') y = area.y + DOCK_MARGIN;
+  if (vertical === 'bottom') y = area.y + area.height - height - DOCK_MARGIN;
+
+  if (hidden) {
+    const edge = getHideEdge(dock);
+    if (edge === 'left') x = area.x - width + AUTO_HIDE_PEEK;
+    if (edge === 'right') x = area.x + area.width - AUTO_HIDE_PEEK;
+    if (edge === 'top') y = area.y - height + AUTO_HIDE_PEEK;
+    if (edge === 'bottom') y = area.y + area.height - AUTO_HIDE_PEEK;
+  }
+
+  return { x, y };
+}
+
+// Hiding towards an edge another display continues past would just move the widget onto it
+function canHideWidget(position) {
+  const [width, height] = widgetWindow.getSize();
+  const hiddenBounds = { ...position, width, height };
+  const current = screen.getDisplayMatching(widgetWindow.getBounds());
+
+  return !screen.getAllDisplays().some(display => display.id !== current.id &&
+    hiddenBounds.x < display.bounds.x + display.bounds.width &&
+    hiddenBounds.x + width > display.bounds.x &&
+    hiddenBounds.y < display.bounds.y + display.bounds.height &&
+    hiddenBounds.y + height > display.bounds.y);
+}
+
+function slideWidgetTo(x, y) {
+  clearInterval(slideTimer);
+  const [startX, startY] = widgetWindow.getPosition();
+  const startedAt = Date.now();
+
+  slideTimer = setInterval(() => {
+    if (!widgetWindow || widgetWindow.isDestroyed()) {
+      clearInterval(slideTimer);
+      return;
+    }
+
+    const progress = Math.min(1, (Date.now() - startedAt) / SLIDE_DURATION_MS);
+    const eased = 1 - Math.pow(1 - progress, 3);
+    widgetWindow.setPosition(Math.round(startX + (x - startX) * eased), Math.round(startY + (y - startY) * eased));
+    if (progress === 1) {
+      clearInterval(slideTimer);
+    }
+  }, 16);
+}
+
+// Put a docked widget on its edge, shown, then let auto-hide take it from there
+function applyWidgetDock() {
+  clearInterval(slideTimer);
+  widgetHidden = false;
+  const { x, y } = getDockedPosition(false);
+  widgetWindow.setPosition(x, y);
+  scheduleAutoHide();
+}
+
+function scheduleAutoHide() {
+  clearTimeout(autoHideTimer);
+  autoHideTimer = setTimeout(hideWidget, AUTO_HIDE_DELAY_MS);
+}
+
+function hideWidget() {
+  if (!widgetWindow || widgetWindow.isDestroyed() || widgetHidden) return;
+  if (!settingsStore.get('widgetAutoHide') || !getWidgetDock()) return;
+  // Stay put while in use: hovered, being dragged or with the panel open
+  if (widgetHovered || widgetDragPosition || (mainWindow && !mainWindow.isDestroyed() && mainWindow.isVisible())) return;
+
+  const position = getDockedPosition(true);
+  if (!canHideWidget(position)) return;
+
+  widgetHidden = true;
+  slideWidgetTo(position.x, position.y);
+}
+
+function revealWidget({ animate = true } = {}) {
+  clearTimeout(autoHideTimer);
+  if (!widgetHidden || !widgetWindow || widgetWindow.isDestroyed()) return;
+
+  widgetHidden = false;
+  const { x, y } = getDockedPosition(false);
+  if (animate) {
+    slideWidgetTo(x, y);
+  } else {
+    clearInterval(slideTimer);
+    widgetWindow.setPosition(x, y);
+  }
+}
+
+// Visibility - settings.json "widgetVisibility": whether the widget (and its panel) stay
+// above other windows, and on every workspace including full-screen apps' spaces
+const VISIBILITY_MODES = ['normal', 'always-on-top', 'all-workspaces'];
+
+function getVisibilityMode() {
+  const mode = settingsStore.get('widgetVisibility');
+  return VISIBILITY_MODES.includes(mode) ? mode : 'normal';
+}
+
+function applyVisibilityMode(browserWindow) {
+  if (!browserWindow || browserWindow.isDestroyed()) return;
+
+  const mode = getVisibilityMode();
+  browserWindow.setAlwaysOnTop(mode !== 'normal', 'floating');
+  // Workspaces are a macOS and Linux concept; this is a no-op on Windows
+  browserWindow.setVisibleOnAllWorkspaces(mode === 'all-workspaces', { visibleOnFullScreen: mode === 'all-workspaces' });
+}
+
+function getLayoutState() {
+  return {
+    dock: getWidgetDock(),
+    autoHide: !!settingsStore.get('widgetAutoHide'),
+    visibility: getVisibilityMode(),
+    pinPanel: !!settingsStore.get('pinPanel')
+  };
+}
+
+function notifyLayoutChanged() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('layout-changed', getLayoutState());
+  }
+}
+
+ipcMain.on('widget-drag-start', () => {
+  if (!widgetWindow || widgetWindow.isDestroyed()) return;
+  revealWidget({ animate: false });
+  const [x, y] = widgetWindow.getPosition();
+  widgetDragPosition = { x, y };
+});
+
+ipcMain.on('widget-drag-end', () => {
+  if (!widgetWindow || widgetWindow.isDestroyed() || !widgetDragPosition) return;
+  widgetDragPosition = null;
+
+  const [x, y] = widgetWindow.getPosition();
+  const [width, height] = widgetWindow.getSize();
+  const { dock } = snapToEdges(x, y, width, height);
+  if (dock !== getWidgetDock()) {
+    console.log(`Widget ${dock ? `docked ${dock}` : 'undocked'}`);
+    settingsStore.set('widgetDock', dock);
+    notifyLayoutChanged();
+  }
+  scheduleAutoHide();
+});
+
+ipcMain.on('widget-hover', (event, hovered) => {
+  widgetHovered = !!hovered;
+  if (widgetHovered) {
+    revealWidget();
+  } else {
+    scheduleAutoHide();
+  }
+});
+
+ipcMain.handle('layout-get', () => getLayoutState());
+
+ipcMain.handle('layout-set', (event, changes) => {
+  if (changes && VISIBILITY_MODES.includes(changes.visibility)) {
+    settingsStore.set('widgetVisibility', changes.visibility);
+    [widgetWindow, mainWindow].forEach(applyVisibilityMode);
+  }
+  if (changes && 'pinPanel' in changes) {
+    settingsStore.set('pinPanel', !!changes.pinPanel);
+  }
+  if (changes && 'autoHide' in changes) {
+    settingsStore.set('widgetAutoHide', !!changes.autoHide);
+    if (changes.autoHide) {
+      scheduleAutoHide();
+    } else {
+      revealWidget();
+    }
+  }
+  notifyLayoutChanged();
+  return getLayoutState();
+});
+
 function createMainWindow() {
   // Prevent multiple main window creation
   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -164,8 +564,8 @@ function createMainWindow() {
     return;
   }
 
-  // Get primary display dimensions
-  const { width, height } = screen.getPrimaryDisplay().workAreaSize;
+  // Dimensions of the widget's display
+  const { x: areaX, y: areaY, width, height } = getWidgetWorkArea();
 
   // Main window dimensions - starting point for most laptops
   const mainWidth = 698;
@@ -190,11 +590,11 @@ function createMainWindow() {
   mainWindow = new BrowserWindow({
     width: finalWidth,
     height: finalHeight,
-    x: width - finalWidth - 20, // Position at bottom-right with 20px margin
-    y: height - finalHeight - 20,
+    x: areaX + width - finalWidth - 20, // Position at bottom-right with 20px margin
+    y: areaY + height - finalHeight - 20,
     frame: false, // Remove window frame
     transparent: true, // Make window transparent
-    // Removed alwaysOnTop to allow normal window behavior
+    // Stacking and workspaces follow the visibility setting (see applyVisibilityMode)
     resizable: true, // Allow user to resize (needed for CSS resize to work)
     minWidth: 400, // Enforce minimum dimensions
     minHeight: 300,
@@ -205,19 +605,25 @@ function createMainWindow() {
     show: false, // Don't show initially
     icon: path.join(__dirname, 'imgs', 'primitiv_logo.png'),
     webPreferences: {
-      nodeIntegration: true,
-      contextIsolation: false,
-      enableRemoteModule: true
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: true
     }
   });
 
   mainWindow.loadFile('main.html');
+  applyVisibilityMode(mainWindow);
 
   // Reposition widget when main window is resized or moved
   mainWindow.on('resize', () => {
     repositionWidgetRelativeToMain();
   });
 
+  // A docked widget stays out while its panel is open
+  mainWindow.on('show', () => revealWidget());
+  mainWindow.on('hide', () => scheduleAutoHide());
+
   // For development - open DevTools
   if (process.argv.includes('--dev')) {
     mainWindow.webContents.openDevTools({ mode: 'detach' });
@@ -230,16 +636,22 @@ function repositionWidgetRelativeToMain() {
     return;
   }
 
+  // A docked widget stays on its edge; the panel moves on its own
+  if (getWidgetDock()) {
+    return;
+  }
+
   const [mainX, mainY] = mainWindow.getPosition();
   const [mainWidth, mainHeight] = mainWindow.getSize();
   const [widgetWidth, widgetHeight] = widgetWindow.getSize();
-  const { width: screenWidth, height: screenHeight } = screen.getPrimaryDisplay().workAreaSize;
+  // The widget follows the panel, including onto another display
+  const { x: areaX, y: areaY, width: screenWidth, height: screenHeight } = getWorkAreaFor(mainWindow.getBounds());
 
   // Determine which quadrant the main window is in
   const mainCenterX = mainX + mainWidth / 2;
   const mainCenterY = mainY + mainHeight / 2;
-  const mainInRightHalf = mainCenterX > screenWidth / 2;
-  const mainInBottomHalf = mainCenterY > screenHeight / 2;
+  const mainInRightHalf = mainCenterX > areaX + screenWidth / 2;
+  const mainInBottomHalf = mainCenterY > areaY + screenHeight / 2;
 
   let newWidgetX, newWidgetY;
   const margin = 20;
@@ -264,8 +676,8 @@ function repositionWidgetRelativeToMain() {
   }
 
   // Ensure widget stays within screen bounds
-  newWidgetX = Math.max(margin, Math.min(screenWidth - widgetWidth - margin, newWidgetX));
-  newWidgetY = Math.max(margin, Math.min(screenHeight - widgetHeight - margin, newWidgetY));
+  newWidgetX = Math.max(areaX + margin, Math.min(areaX + screenWidth - widgetWidth - margin, newWidgetX));
+  newWidgetY = Math.max(areaY + margin, Math.min(areaY + screenHeight - widgetHeight - margin, newWidgetY));
 
   widgetWindow.setPosition(newWidgetX, newWidgetY);
 }
@@ -277,21 +689,30 @@ ipcMain.on('move-widget', (event, deltaX, deltaY) => {
   const [currentX, currentY] = widgetWindow.getPosition();
   const [widgetWidth, widgetHeight] = widgetWindow.getSize();
   
-  // Get screen dimensions
-  const { width: screenWidth, height: screenHeight } = screen.getPrimaryDisplay().workAreaSize;
+  // Calculate new position - from where the pointer put it, not where it snapped to,
+  // so the widget can be pulled off an edge again
+  const fromX = widgetDragPosition ? widgetDragPosition.x : currentX;
+  const fromY = widgetDragPosition ? widgetDragPosition.y : currentY;
+  let newX = fromX + deltaX;
+  let newY = fromY + deltaY;
   
-  // Calculate new position
-  let newX = currentX + deltaX;
-  let newY = currentY + deltaY;
+  // Display the widget is being dragged onto, so it can cross to another monitor
+  const { x: areaX, y: areaY, width: screenWidth, height: screenHeight } = getWorkAreaFor({ x: newX, y: newY, width: widgetWidth, height: widgetHeight });
   
   // Constrain to screen bounds with margin
   const margin = 8; // Keep widget at least 8px from screen edges
   
   // Horizontal bounds
-  newX = Math.max(margin, Math.min(newX, screenWidth - widgetWidth - margin));
+  newX = Math.max(areaX + margin, Math.min(newX, areaX + screenWidth - widgetWidth - margin));
   
   // Vertical bounds (especially important)
-  newY = Math.max(margin, Math.min(newY, screenHeight - widgetHeight - margin));
+  newY = Math.max(areaY + margin, Math.min(newY, areaY + screenHeight - widgetHeight - margin));
+
+  // Magnetic edges while dragging
+  if (widgetDragPosition) {
+    widgetDragPosition = { x: newX, y: newY };
+    ({ x: newX, y: newY } = snapToEdges(newX, newY, widgetWidth, widgetHeight));
+  }
   
   // Only move if position actually changed (prevents unnecessary updates)
   if (newX !== currentX || newY !== currentY) {
@@ -302,22 +723,23 @@ ipcMain.on('move-widget', (event, deltaX, deltaY) => {
 // Handle IPC for window movement (main window) - delta-based (legacy)
 ipcMain.on('move-main-window', (event, deltaX, deltaY) => {
   const [currentX, currentY] = mainWindow.getPosition();
-  
-  // Get screen dimensions
-  const { width: screenWidth, height: screenHeight } = screen.getPrimaryDisplay().workAreaSize;
+  const [currentWidth, currentHeight] = mainWindow.getSize();
   
   // Calculate new position
   let newX = currentX + deltaX;
   let newY = currentY + deltaY;
   
+  // Display the window is being dragged onto
+  const { x: areaX, y: areaY, width: screenWidth, height: screenHeight } = getWorkAreaFor({ x: newX, y: newY, width: currentWidth, height: currentHeight });
+  
   // Constrain to screen bounds with margin
   const margin = 20; // Keep main window at least 20px from screen edges
   
   // Horizontal bounds
-  newX = Math.max(margin, Math.min(newX, screenWidth - mainWindow.getSize()[0] - margin));
+  newX = Math.max(areaX + margin, Math.min(newX, areaX + screenWidth - currentWidth - margin));
   
   // Vertical bounds (especially important)
-  newY = Math.max(margin, Math.min(newY, screenHeight - mainWindow.getSize()[1] - margin));
+  newY = Math.max(areaY + margin, Math.min(newY, areaY + screenHeight - currentHeight - margin));
   
   // Only move if position actually changed (prevents unnecessary updates)
   if (newX !== currentX || newY !== currentY) {
@@ -329,18 +751,19 @@ ipcMain.on('move-main-window', (event, deltaX, deltaY) => {
 
 // Handle IPC for window movement (main window) - absolute position (stable dragging)
 ipcMain.on('move-main-window-absolute', (event, newX, newY) => {
-  // Get screen dimensions
-  const { width: screenWidth, height: screenHeight } = screen.getPrimaryDisplay().workAreaSize;
   const [currentWidth, currentHeight] = mainWindow.getSize();
   
+  // Display the window is being dragged onto
+  const { x: areaX, y: areaY, width: screenWidth, height: screenHeight } = getWorkAreaFor({ x: newX, y: newY, width: currentWidth, height: currentHeight });
+  
   // Constrain to screen bounds with margin
   const margin = 20; // Keep main window at least 20px from screen edges
   
   // Horizontal bounds
-  const constrainedX = Math.max(margin, Math.min(newX, screenWidth - currentWidth - margin));
+  const constrainedX = Math.max(areaX + margin, Math.min(newX, areaX + screenWidth - currentWidth - margin));
   
   // Vertical bounds (especially important)
-  const constrainedY = Math.max(margin, Math.min(newY, screenHeight - currentHeight - margin));
+  const constrainedY = Math.max(areaY + margin, Math.min(newY, areaY + screenHeight - currentHeight - margin));
   
   // Only move if position actually changed (prevents unnecessary updates)
   const [currentX, currentY] = mainWindow.getPosition();
@@ -352,13 +775,13 @@ ipcMain.on('move-main-window-absolute', (event, newX, newY) => {
 });
 
 // Handle IPC for getting window position (for stable dragging)
-ipcMain.on('get-window-position', (event) => {
+ipcMain.handle('get-window-position', () => {
   const [x, y] = mainWindow.getPosition();
-  event.reply('window-position', x, y);
+  return { x, y };
 });
 
 // Handle IPC for calculating main window position
-ipcMain.on('calculate-main-window-position', async (event, data) => {
+ipcMain.handle('calculate-main-window-position', async (event, data) => {
   const { widgetRect } = data;
   
   // Get actual main window dimensions from the DOM
@@ -387,7 +810,8 @@ ipcMain.on('calculate-main-window-position', async (event, data) => {
   
   const gap = 12; // Always maintain this gap between widget and main window
   
-  // Get widget window position on screen
+  // Get widget window position on screen (brought back first if it was slid off an edge)
+  revealWidget({ animate: false });
   const widgetWindowPos = widgetWindow.getPosition();
   
   // Calculate widget's absolute position on screen
@@ -396,17 +820,33 @@ ipcMain.on('calculate-main-window-position', async (event, data) => {
   const widgetScreenRight = widgetScreenX + widgetRect.width;
   const widgetScreenBottom = widgetScreenY + widgetRect.height;
   
-  // Get screen dimensions
-  const { width: screenWidth, height: screenHeight } = screen.getPrimaryDisplay().workAreaSize;
+  // The panel opens on the widget's display
+  const { x: areaX, y: areaY, width: screenWidth, height: screenHeight } = getWidgetWorkArea();
+  const areaRight = areaX + screenWidth;
+  const areaBottom = areaY + screenHeight;
   
-  // Simple logic: always try to position to the side, never above/below
+  // Docked: open away from the edge. Otherwise position to the side, never above/below
   let x, y, positionClass;
+  const { vertical: dockedVertical, horizontal: dockedHorizontal } = getDockEdges(getWidgetDock());
   
   // Check if there's enough space to the right
-  const spaceRight = screenWidth - widgetScreenRight - gap;
-  const spaceLeft = widgetScreenX - gap;
+  const spaceRight = areaRight - widgetScreenRight - gap;
+  const spaceLeft = widgetScreenX - areaX - gap;
   
-  if (spaceRight >= mainWindowWidth) {
+  if (dockedVertical) {
+    // Above a widget docked at the bottom, below one at the top, lined up with its outer side
+    positionClass = dockedVertical === 'bottom' ? 'position-above' : 'position-below';
+    x = dockedHorizontal === 'right' ? widgetScreenRight - mainWindowWidth : widgetScreenX;
+    y = dockedVertical === 'bottom' ? widgetScreenY - mainWindowHeight - gap : widgetScreenBottom + gap;
+  } else if (dockedHorizontal === 'left') {
+    positionClass = 'position-right';
+    x = widgetScreenRight + gap;
+    y = widgetScreenY;
+  } else if (dockedHorizontal === 'right') {
+    positionClass = 'position-left';
+    x = widgetScreenX - mainWindowWidth - gap;
+    y = widgetScreenY;
+  } else if (spaceRight >= mainWindowWidth) {
     // Position to the right
     positionClass = 'position-right';
     x = widgetScreenRight + gap;
@@ -422,19 +862,19 @@ ipcMain.on('calculate-main-window-position', async (event, data) => {
     x = widgetScreenRight + gap;
     
     // Adjust Y position to keep main window within screen bounds
-    if (widgetScreenY + mainWindowHeight > screenHeight) {
-      y = screenHeight - mainWindowHeight - gap;
+    if (widgetScreenY + mainWindowHeight > areaBottom) {
+      y = areaBottom - mainWindowHeight - gap;
     } else {
       y = widgetScreenY;
     }
   }
   
   // Final bounds check - ensure main window stays within screen
-  x = Math.max(gap, Math.min(x, screenWidth - mainWindowWidth - gap));
-  y = Math.max(gap, Math.min(y, screenHeight - mainWindowHeight - gap));
+  x = Math.max(areaX + gap, Math.min(x, areaRight - mainWindowWidth - gap));
+  y = Math.max(areaY + gap, Math.min(y, areaBottom - mainWindowHeight - gap));
   
   // Send the calculated position back to the renderer
-  event.reply('main-window-position-calculated', { x, y, class: positionClass });
+  return { x, y, class: positionClass };
 });
 
 // Settings window position calculation no longer needed - settings embedded in mainWindow
@@ -468,6 +908,12 @@ ipcMain.on('show-main-window', (event, x, y) => {
 
 // Handle IPC for triggering sync on user click
 ipcMain.on('trigger-sync-on-click', () => {
+  // Opening the panel doesn't sync during quiet hours ("Sync now" still does)
+  if (quietHours.isActive()) {
+    console.log('Quiet hours - skipping sync on open');
+    return;
+  }
+
   if (mainWindow && !mainWindow.isDestroyed()) {
     // Send sync trigger directly to main window
     mainWindow.webContents.send('trigger-sync-on-click');
@@ -477,8 +923,12 @@ ipcMain.on('trigger-sync-on-click', () => {
 });
 
 // Handle IPC for hiding main window
-ipcMain.on('hide-main-window', () => {
+ipcMain.on('hide-main-window', (event) => {
   if (mainWindow) {
+    // A pinned panel only closes from the widget, not on Escape or a click beside it
+    if (settingsStore.get('pinPanel') && event.sender === mainWindow.webContents) {
+      return;
+    }
     mainWindow.hide();
   }
 });
@@ -494,24 +944,35 @@ ipcMain.on('move-main-window', (event, deltaX, deltaY) => {
 // Handle IPC for resizing widget window
 ipcMain.on('resize-window', (event, width, height) => {
   if (widgetWindow) {
-    widgetWindow.setSize(width, height);
+    const dock = getWidgetDock();
+    // Grow upwards where the bottom edge is the one against the screen edge
+    const keepBottom = widgetHidden ? getHideEdge(dock) === 'top' : getDockEdges(dock).vertical === 'bottom';
+    if (keepBottom) {
+      const { x, y, height: currentHeight } = widgetWindow.getBounds();
+      widgetWindow.setBounds({ x, y: y + currentHeight - height, width, height });
+    } else {
+      widgetWindow.setSize(width, height);
+    }
   }
 });
 
 
 // Handle IPC for opening dashboard
 ipcMain.on('open-dashboard', () => {
-  const { shell } = require('electron');
-  shell.openExternal('https://primitiv.tools/dashboard');
+  shell.openExternal(activeEnvironment.dashboardUrl);
 });
 
 // Handle IPC for exiting the app
 ipcMain.on('exit-app', () => {
+  quitApp();
+});
+
+function quitApp() {
   console.log('Exit app requested by user');
   
   // Stop any running sleep timers
   if (sleepTimer) {
-    clearInterval(sleepTimer);
+    clearTimeout(sleepTimer);
     sleepTimer = null;
   }
   
@@ -521,38 +982,118 @@ ipcMain.on('exit-app', () => {
   
   // Use standard quit - Electron will handle cleanup
   app.quit();
-});
+}
 
-// Handle IPC for updating auth state after logout
-ipcMain.on('update-auth-state-after-logout', () => {
-  console.log('Auth state update requested after logout');
-  
-  // Notify main window to update its authentication state
-  if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('auth-state-changed-after-logout');
+// Signed-in accounts - each with its own tokens (encrypted at rest, never handed to the
+// renderers), offline task cache and outbox of edits made without network. Accounts
+// belong to the backend environment, so the store is created with the auth service.
+let accountStore = null;
+let plaintextWarningShown = false;
+
+// Auth service and API client run here; renderers reach them through preload.js.
+// Created once the backend environment is final (see app.whenReady).
+let authService = null;
+let apiBridge = null;
+
+// Tell the user once per launch that their tokens are not encrypted
+function warnPlaintextTokens() {
+  if (plaintextWarningShown) return;
+  plaintextWarningShown = true;
+
+  const detail = process.platform === 'linux'
+    ? 'No system keyring (such as GNOME Keyring or KWallet) was found. Your sign-in is saved in a file only your user account can read. Install or unlock a keyring and sign in again to encrypt it.'
+    : 'Your sign-in is saved in a file only your user account can read.';
+
+  dialog.showMessageBox({
+    type: 'warning',
+    title: 'Primitiv',
+    message: 'Your sign-in could not be encrypted on this computer',
+    detail,
+    buttons: ['OK']
+  }).catch(error => console.error('Failed to show token warning:', error));
+}
+
+// Deep links unless the protocol handler couldn't be confirmed; --login-redirect=loopback|deep-link|device overrides
+// ('device' signs in with a code approved on another device, for kiosks and locked-down browsers)
+function getLoginRedirectMode(deepLinkRegistered) {
+  const requested = getFlagValue(process.argv, 'login-redirect');
+  if (requested === 'loopback' || requested === 'deep-link' || requested === 'device') {
+    return requested;
   }
-});
+  return deepLinkRegistered ? 'deep-link' : 'loopback';
+}
+
+async function initializeAuthService(deepLinkRegistered) {
+  const redirectMode = getLoginRedirectMode(deepLinkRegistered);
+  console.log(`Login redirect mode: ${redirectMode}`);
+
+  accountStore = new AccountStore(activeEnvironment);
+  authService = new DesktopAuthService({
+    environment: activeEnvironment,
+    accounts: accountStore,
+    onInsecureTokenStorage: warnPlaintextTokens,
+    redirectMode
+  });
+
+  apiBridge = new ApiBridge({ authService, accounts: accountStore });
+  apiBridge.register();
 
-// Sleep functionality
+  await authService.init();
+}
+
+
+// Sleep functionality - sleep ends at an absolute time, kept in settings.json ("sleepUntil"),
+// so it survives restarts and system suspend; countdowns are worked out from it
 let sleepTimer = null;
 let isSleeping = false;
+let sleepUntil = null;
 
 // Handle IPC for sleep mode
 ipcMain.on('start-sleep-mode', (event, hours, minutes) => {
+  startSleepMode(hours, minutes);
+});
+
+ipcMain.handle('sleep-get-state', () => ({ sleeping: isSleeping, wakeAt: sleepUntil }));
+
+function startSleepMode(hours, minutes) {
   if (isSleeping) {
     console.log('Already in sleep mode');
     return;
   }
 
-  let totalMinutes = (hours * 60) + minutes;
+  const totalMinutes = (hours * 60) + minutes;
   console.log(`Starting sleep mode for ${hours}:${minutes.toString().padStart(2, '0')} (${totalMinutes} minutes)`);
-  
+
+  const wakeAt = Date.now() + totalMinutes * 60000;
+  settingsStore.set('sleepUntil', wakeAt);
+  enterSleepMode(wakeAt);
+}
+
+// Pick up a sleep that was still running when the app last quit
+function restoreSleepMode() {
+  const wakeAt = settingsStore.get('sleepUntil');
+  if (!Number.isFinite(wakeAt)) return;
+
+  if (wakeAt > Date.now()) {
+    console.log(`Resuming sleep mode until ${new Date(wakeAt).toISOString()}`);
+    enterSleepMode(wakeAt);
+  } else {
+    settingsStore.delete('sleepUntil');
+  }
+}
+
+function enterSleepMode(wakeAt) {
   isSleeping = true;
+  sleepUntil = wakeAt;
+  updateTrayMenu();
+
+  // Nothing needs a fresh token while asleep; catch up on wake
+  if (authService) {
+    authService.pauseTokenRefresh('sleep-mode');
+  }
   
   // Set widget opacity to reduced visibility (sleep mode)
-  if (widgetWindow && !widgetWindow.isDestroyed()) {
-    widgetWindow.setOpacity(0.7);
-  }
+  updateWidgetOpacity();
   
   // Hide main window during sleep mode
   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -563,40 +1104,37 @@ ipcMain.on('start-sleep-mode', (event, hours, minutes) => {
   if (widgetWindow && !widgetWindow.isDestroyed()) {
     widgetWindow.webContents.send('main-window-hidden-for-sleep');
   }
-  
-  // Start countdown timer (update every minute)
-  sleepTimer = setInterval(() => {
-    if (totalMinutes > 0) {
-      totalMinutes--;
-      const remainingHours = Math.floor(totalMinutes / 60);
-      const remainingMinutes = totalMinutes % 60;
-      
-      // Send updated time to mainWindow and widget
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('update-sleep-timer', remainingHours, remainingMinutes);
-      }
 
-      if (widgetWindow && !widgetWindow.isDestroyed()) {
-        widgetWindow.webContents.send('update-sleep-timer', remainingHours, remainingMinutes);
-      }
-    } else {
-      // Wake up!
-      wakeUp();
-    }
-  }, 60000); // Update every minute
-  
-  // Initial timer value
-  const remainingHours = hours;
-  const remainingMinutes = minutes;
-  
-  // Send initial timer to mainWindow and widget
+  checkSleepMode();
+}
+
+// Compare the wake-up time with the clock: wake up if it has passed, otherwise send the
+// remaining time and check again when the next minute of it is used up
+function checkSleepMode() {
+  if (!isSleeping) return;
+
+  clearTimeout(sleepTimer);
+  const remainingMs = sleepUntil - Date.now();
+  if (remainingMs <= 0) {
+    wakeUp();
+    return;
+  }
+
+  // Whole minutes left, rounded up: 0:01 until the very end
+  const remaining = Math.ceil(remainingMs / 60000);
+  const remainingHours = Math.floor(remaining / 60);
+  const remainingMinutes = remaining % 60;
+
+  // Send updated time to mainWindow and widget
   if (mainWindow && !mainWindow.isDestroyed()) {
-    mainWindow.webContents.send('update-sleep-timer', remainingHours, remainingMinutes);
+    mainWindow.webContents.send('update-sleep-timer', remainingHours, remainingMinutes, sleepUntil);
   }
   if (widgetWindow && !widgetWindow.isDestroyed()) {
-    widgetWindow.webContents.send('update-sleep-timer', remainingHours, remainingMinutes);
+    widgetWindow.webContents.send('update-sleep-timer', remainingHours, remainingMinutes, sleepUntil);
   }
-});
+
+  sleepTimer = setTimeout(checkSleepMode, remainingMs % 60000 || 60000);
+}
 
 // Handle IPC for waking up
 ipcMain.on('wake-up', () => {
@@ -607,16 +1145,23 @@ function wakeUp() {
   console.log('Waking up from sleep mode');
 
   isSleeping = false;
+  sleepUntil = null;
+  settingsStore.delete('sleepUntil');
+  updateTrayMenu();
+
+  if (authService) {
+    authService.resumeTokenRefresh('sleep-mode');
+  }
 
   // Clear sleep timer
   if (sleepTimer) {
-    clearInterval(sleepTimer);
+    clearTimeout(sleepTimer);
     sleepTimer = null;
   }
 
-  // Restore widget opacity and focus it first (parent window)
+  // Restore widget opacity (unless quiet hours keep it dimmed) and focus it first (parent window)
+  updateWidgetOpacity();
   if (widgetWindow && !widgetWindow.isDestroyed()) {
-    widgetWindow.setOpacity(1.0);
     widgetWindow.focus();
   }
 
@@ -636,6 +1181,359 @@ function wakeUp() {
 }
 
 
+// Quiet hours - recurring do-not-disturb schedules (quietHours.js). While they are on
+// the widget is dimmed, notices wait until they end and opening the panel doesn't sync.
+const quietHours = new QuietHours();
+const DIMMED_OPACITY = 0.7;
+
+// Notices held back during quiet hours, by channel (only the latest of each matters)
+const heldNotices = new Map();
+
+function updateWidgetOpacity() {
+  if (widgetWindow && !widgetWindow.isDestroyed()) {
+    widgetWindow.setOpacity(isSleeping || quietHours.isActive() ? DIMMED_OPACITY : 1.0);
+  }
+}
+
+// Something that asks for the user's attention, shown now or once quiet hours end
+function sendNotice(channel, ...args) {
+  if (quietHours.isActive()) {
+    console.log(`Quiet hours - holding ${channel} until they end`);
+    heldNotices.set(channel, args);
+    return;
+  }
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, ...args);
+  }
+}
+
+function getQuietHoursState() {
+  return { schedules: quietHours.list(), ...quietHours.getState() };
+}
+
+// Quiet hours started or ended, or the schedules were edited
+quietHours.addListener((state, changed) => {
+  if (changed) {
+    updateWidgetOpacity();
+    updateTrayMenu();
+
+    if (!state.active) {
+      heldNotices.forEach((args, channel) => sendNotice(channel, ...args));
+      heldNotices.clear();
+    }
+  }
+
+  BrowserWindow.getAllWindows().forEach(window => {
+    if (!window.isDestroyed()) {
+      window.webContents.send('quiet-hours-changed', getQuietHoursState());
+    }
+  });
+});
+
+ipcMain.handle('quiet-hours-get', () => getQuietHoursState());
+
+ipcMain.handle('quiet-hours-save', (event, schedule) => {
+  try {
+    quietHours.save(schedule);
+    return getQuietHoursState();
+  } catch (error) {
+    return { ...getQuietHoursState(), error: error.message };
+  }
+});
+
+ipcMain.handle('quiet-hours-remove', (event, scheduleId) => {
+  quietHours.remove(scheduleId);
+  return getQuietHoursState();
+});
+
+
+// Global keyboard shortcuts - Electron accelerators, configurable in settings and
+// persisted in settings.json ("shortcuts"); an empty binding disables the action
+const SHORTCUT_ACTIONS = {
+  togglePanel: { label: 'Show or hide tasks', defaultAccelerator: 'CommandOrControl+Alt+P' },
+  newTask: { label: 'New task', defaultAccelerator: 'CommandOrControl+Alt+N' },
+  toggleSleep: { label: 'Start or stop sleep', defaultAccelerator: 'CommandOrControl+Alt+S' }
+};
+// Sleep length when started from the keyboard
+const SHORTCUT_SLEEP_MINUTES = 60;
+
+// Registration result per action: { accelerator, error: null|'in-use'|'duplicate'|'invalid', conflictsWith }
+let shortcutStatus = {};
+let shortcutsPaused = false;
+
+function getShortcutBindings() {
+  const saved = settingsStore.get('shortcuts') || {};
+  const bindings = {};
+  Object.entries(SHORTCUT_ACTIONS).forEach(([action, { defaultAccelerator }]) => {
+    bindings[action] = action in saved ? saved[action] : defaultAccelerator;
+  });
+  return bindings;
+}
+
+// Same key combination regardless of spelling ("Ctrl+Alt+P" vs "Alt+Control+p")
+function normalizeAccelerator(accelerator) {
+  const aliases = { cmdorctrl: 'commandorcontrol', ctrl: 'control', cmd: 'command', option: 'alt' };
+  const parts = accelerator.split('+').map(part => {
+    const name = part.trim().toLowerCase();
+    return aliases[name] || name;
+  });
+  const key = parts.pop();
+  return [...parts.sort(), key].join('+');
+}
+
+// (Re-)register all shortcuts and record which ones couldn't be
+function registerShortcuts() {
+  globalShortcut.unregisterAll();
+  shortcutStatus = {};
+
+  const claimed = new Map();
+  Object.entries(getShortcutBindings()).forEach(([action, accelerator]) => {
+    const status = { accelerator: accelerator || null, error: null, conflictsWith: null };
+    shortcutStatus[action] = status;
+    if (!accelerator || shortcutsPaused) return;
+
+    const normalized = normalizeAccelerator(accelerator);
+    if (claimed.has(normalized)) {
+      status.error = 'duplicate';
+      status.conflictsWith = claimed.get(normalized);
+      return;
+    }
+
+    try {
+      // Fails when another application already owns the combination
+      if (globalShortcut.register(accelerator, () => runShortcut(action))) {
+        claimed.set(normalized, action);
+      } else {
+        status.error = 'in-use';
+      }
+    } catch (error) {
+      console.error(`Invalid shortcut "${accelerator}":`, error.message);
+      status.error = 'invalid';
+    }
+  });
+
+  const failed = Object.entries(shortcutStatus).filter(([, status]) => status.error);
+  if (failed.length > 0) {
+    console.warn('Shortcuts not registered:', failed.map(([action, status]) => `${action} (${status.accelerator}: ${status.error})`).join(', '));
+  }
+
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('shortcuts-changed', getShortcutState());
+  }
+}
+
+function getShortcutState() {
+  return Object.entries(SHORTCUT_ACTIONS).map(([action, { label, defaultAccelerator }]) => ({
+    action,
+    label,
+    defaultAccelerator,
+    accelerator: shortcutStatus[action]?.accelerator ?? null,
+    error: shortcutStatus[action]?.error || null,
+    conflictsWith: shortcutStatus[action]?.conflictsWith || null
+  }));
+}
+
+function runShortcut(action) {
+  console.log(`Shortcut triggered: ${action}`);
+
+  if (action === 'toggleSleep') {
+    if (isSleeping) {
+      wakeUp();
+    } else {
+      startSleepMode(Math.floor(SHORTCUT_SLEEP_MINUTES / 60), SHORTCUT_SLEEP_MINUTES % 60);
+    }
+    return;
+  }
+
+  sendPanelCommand(action);
+}
+
+// The widget owns the panel's open/closed state, so it opens and positions it like a click would
+function sendPanelCommand(command, ...args) {
+  if (widgetWindow && !widgetWindow.isDestroyed()) {
+    widgetWindow.webContents.send('panel-command', command, ...args);
+  }
+}
+
+ipcMain.handle('shortcuts-get', () => getShortcutState());
+
+ipcMain.handle('shortcuts-set', (event, action, accelerator) => {
+  if (!SHORTCUT_ACTIONS[action]) return getShortcutState();
+
+  settingsStore.set('shortcuts', { ...(settingsStore.get('shortcuts') || {}), [action]: accelerator || '' });
+  registerShortcuts();
+  return getShortcutState();
+});
+
+ipcMain.handle('shortcuts-reset', () => {
+  settingsStore.delete('shortcuts');
+  registerShortcuts();
+  return getShortcutState();
+});
+
+// Settings records a new binding by listening for keys, which must not trigger the current ones
+ipcMain.handle('shortcuts-set-paused', (event, paused) => {
+  shortcutsPaused = !!paused;
+  registerShortcuts();
+  return getShortcutState();
+});
+
+// Tray icon - pending count, the top tasks by RICU and quick actions
+const TRAY_TASK_COUNT = 5;
+const TRAY_TITLE_LENGTH = 48;
+const TRAY_REFRESH_INTERVAL_MS = 5 * 60 * 1000;
+// "Until tomorrow" sleeps until this hour (local time)
+const TRAY_WAKE_HOUR = 8;
+
+let tray = null;
+let traySummary = null; // { total, tasks } or null when signed out / not loaded yet
+let trayRefreshTimer = null;
+let trayRefreshInterval = null;
+
+function createTray() {
+  const icon = nativeImage.createFromPath(path.join(__dirname, 'imgs', 'favicon.png')).resize({ width: 16, height: 16 });
+  tray = new Tray(icon);
+  tray.setToolTip('Primitiv');
+
+  // Windows and Linux open the menu on right click; a left click toggles the task panel
+  tray.on('click', () => sendPanelCommand('togglePanel'));
+
+  apiBridge.addListener(event => {
+    if (event === 'tasks-changed') {
+      scheduleTrayRefresh();
+    }
+  });
+  trayRefreshInterval = setInterval(refreshTraySummary, TRAY_REFRESH_INTERVAL_MS);
+
+  updateTrayMenu();
+  refreshTraySummary();
+}
+
+function destroyTray() {
+  clearTimeout(trayRefreshTimer);
+  clearInterval(trayRefreshInterval);
+  if (tray && !tray.isDestroyed()) {
+    tray.destroy();
+  }
+  tray = null;
+}
+
+// Task events tend to arrive in bursts (a sync creates many), so refresh once they settle
+function scheduleTrayRefresh() {
+  clearTimeout(trayRefreshTimer);
+  trayRefreshTimer = setTimeout(refreshTraySummary, 1000);
+}
+
+async function refreshTraySummary() {
+  if (!apiBridge) return;
+
+  try {
+    traySummary = await apiBridge.getTaskSummary(TRAY_TASK_COUNT);
+  } catch (error) {
+    // Keep showing the last summary; the next task event or interval tries again
+    console.error('Failed to load tasks for the tray:', error.message);
+  }
+  updateTrayMenu();
+}
+
+function truncateTrayLabel(text) {
+  const label = (text || 'Untitled task').replace(/\s+/g, ' ').trim();
+  return label.length > TRAY_TITLE_LENGTH ? `${label.slice(0, TRAY_TITLE_LENGTH - 1)}…` : label;
+}
+
+// Minutes until TRAY_WAKE_HOUR on the next morning
+function getMinutesUntilTomorrow() {
+  const now = new Date();
+  const wakeAt = new Date(now);
+  wakeAt.setHours(TRAY_WAKE_HOUR, 0, 0, 0);
+  if (wakeAt <= now) {
+    wakeAt.setDate(wakeAt.getDate() + 1);
+  }
+  return Math.ceil((wakeAt - now) / 60000);
+}
+
+function updateTrayMenu() {
+  if (!tray || tray.isDestroyed()) return;
+
+  const signedIn = !!authService && authService.isAuthenticated();
+  const template = [];
+
+  if (!signedIn) {
+    template.push({ label: 'Not signed in', enabled: false });
+  } else if (!traySummary) {
+    template.push({ label: 'Loading tasks…', enabled: false });
+  } else {
+    const { total, tasks } = traySummary;
+    template.push({ label: `${total} pending ${total === 1 ? 'task' : 'tasks'}`, enabled: false });
+    tasks.forEach(task => {
+      template.push({
+        label: truncateTrayLabel(task.title),
+        click: () => sendPanelCommand('openTask', task.id)
+      });
+    });
+  }
+
+  template.push(
+    { type: 'separator' },
+    { label: 'New task', enabled: signedIn, click: () => sendPanelCommand('newTask') },
+    { label: 'Sync now', enabled: signedIn, click: () => syncNow() },
+    { type: 'separator' }
+  );
+
+  if (quietHours.isActive()) {
+    const { nextTransition } = quietHours.getState();
+    const until = nextTransition
+      ? new Date(nextTransition.at).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+      : null;
+    template.push({ label: until ? `Quiet hours until ${until}` : 'Quiet hours', enabled: false });
+  }
+
+  if (isSleeping) {
+    template.push({ label: 'Wake up', click: () => wakeUp() });
+  } else {
+    template.push({
+      label: 'Sleep',
+      submenu: [
+        { label: '30 minutes', click: () => startSleepMode(0, 30) },
+        { label: '1 hour', click: () => startSleepMode(1, 0) },
+        {
+          label: 'Until tomorrow',
+          click: () => {
+            const minutes = getMinutesUntilTomorrow();
+            startSleepMode(Math.floor(minutes / 60), minutes % 60);
+          }
+        }
+      ]
+    });
+  }
+
+  template.push(
+    { label: 'Open dashboard', click: () => shell.openExternal(activeEnvironment.dashboardUrl) },
+    { type: 'separator' },
+    { label: 'Quit Primitiv', click: () => quitApp() }
+  );
+
+  const pending = signedIn && traySummary ? traySummary.total : 0;
+  tray.setToolTip(pending > 0 ? `Primitiv - ${pending} pending ${pending === 1 ? 'task' : 'tasks'}` : 'Primitiv');
+  tray.setContextMenu(Menu.buildFromTemplate(template));
+}
+
+// Same as the refresh button in the task panel: forced source sync, then reload the list
+function syncNow() {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('refresh-tasks');
+  }
+}
+
+// Handle IPC for opening a task's detail in the main window (the widget has opened the panel)
+ipcMain.on('show-task-detail', (event, taskId) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.focus();
+    mainWindow.webContents.send('show-task-detail', taskId);
+  }
+});
+
 // Handle IPC for showing main window with specific view
 ipcMain.on('show-main-window-with-view', (event, x, y, view) => {
   if (mainWindow && !mainWindow.isDestroyed()) {
@@ -658,29 +1556,36 @@ ipcMain.on('show-main-window-with-view', (event, x, y, view) => {
 // Handle IPC for switching view in main window
 ipcMain.on('switch-main-window-view', (event, view) => {
   if (mainWindow && !mainWindow.isDestroyed()) {
+    // Typing goes straight into the new task form
+    if (view === 'new-task') {
+      mainWindow.focus();
+    }
+
     // Send view switch to main window
     mainWindow.webContents.send('switch-main-window-view', view);
   }
 });
 
 // Register deep link protocol for authentication
+// Returns whether the registration could be confirmed
 function registerDeepLinkProtocol() {
   const PROTOCOL_SCHEME = 'primitiv-desktop';
+  let registered = false;
   
   if (process.defaultApp) {
     // Development mode: Register protocol to launch Electron with the main script
     if (process.argv.length >= 2) {
-      app.setAsDefaultProtocolClient(
-        PROTOCOL_SCHEME,
-        process.execPath,
-        [path.resolve(process.argv[1])]
-      );
-      console.log('Deep link protocol registered for development mode');
+      const args = [path.resolve(process.argv[1])];
+      registered = app.setAsDefaultProtocolClient(PROTOCOL_SCHEME, process.execPath, args) &&
+        app.isDefaultProtocolClient(PROTOCOL_SCHEME, process.execPath, args);
+      console.log('Deep link protocol registered for development mode:', registered);
     }
   } else {
     // Production mode: Simple registration
-    app.setAsDefaultProtocolClient(PROTOCOL_SCHEME);
-    console.log('Deep link protocol registered for production mode');
+    // (can report success without taking effect, e.g. an AppImage without a .desktop file)
+    registered = app.setAsDefaultProtocolClient(PROTOCOL_SCHEME) &&
+      app.isDefaultProtocolClient(PROTOCOL_SCHEME);
+    console.log('Deep link protocol registered for production mode:', registered);
   }
 
   // Note: second-instance handling is done at the top of the file
@@ -691,6 +1596,8 @@ function registerDeepLinkProtocol() {
     event.preventDefault();
     handleDeepLink([url]);
   });
+
+  return registered;
 }
 
 // Handle deep link authentication
@@ -716,36 +1623,22 @@ function handleDeepLink(commandLine) {
                          urlObj.pathname === '/auth-success/';
 
     if (isAuthSuccess) {
-      const accessToken = urlObj.searchParams.get('access_token');
-      const refreshToken = urlObj.searchParams.get('refresh_token');
-      const userData = urlObj.searchParams.get('user_data');
-
-      if (accessToken && refreshToken) {
-
-        // Ensure main window is focused
-        if (mainWindow) {
-          if (mainWindow.isMinimized()) {
-            mainWindow.restore();
-          }
-          mainWindow.focus();
-
-          // Send auth data to renderer process
-          const authData = {
-            accessToken,
-            refreshToken,
-            userData: userData ? JSON.parse(decodeURIComponent(userData)) : null
-          };
-
-          mainWindow.webContents.send('auth-completed', authData);
-        }
+      // Any page can open a deep link, so tokens are never taken from one - only a
+      // one-time code for a login this app started (see DesktopAuthService.handleAuthorizationCode)
+      const code = urlObj.searchParams.get('code');
+      const state = urlObj.searchParams.get('state');
+
+      if (code && state) {
+        completeAuthentication({ code, state });
+      } else {
+        console.warn('Ignoring auth-success deep link without code and state');
       }
     } else if (urlObj.pathname === '/auth-error') {
       const error = urlObj.searchParams.get('error');
       console.log('Authentication failed via deep link:', error);
 
-      // Send error to renderer process
-      if (mainWindow) {
-        mainWindow.webContents.send('auth-error', { error });
+      if (authService) {
+        authService.handleDeepLinkError({ error, state: urlObj.searchParams.get('state') });
       }
     }
   } catch (error) {
@@ -753,6 +1646,39 @@ function handleDeepLink(commandLine) {
   }
 }
 
+// Hand the code from a completed login to the auth service
+function completeAuthentication({ code, state }) {
+  // No login can be in progress before the auth service exists
+  if (!authService) {
+    console.warn('Ignoring login link received during startup');
+    return;
+  }
+
+  authService.handleAuthorizationCode({ code, state }).then(success => {
+    console.log(success ? 'Authentication completed successfully' : 'Authentication failed');
+  });
+
+  // Ensure main window is focused
+  if (mainWindow) {
+    if (mainWindow.isMinimized()) {
+      mainWindow.restore();
+    }
+    mainWindow.focus();
+  }
+}
+
+// Start the mock backend and point the app at it
+async function startMockBackend() {
+  mockBackend = new MockBackend({ onLogin: deepLink => handleDeepLink([deepLink]) });
+
+  const port = Number(getFlagValue(process.argv, 'mock-port')) || 0;
+  const baseUrl = await mockBackend.start(port);
+
+  // userData is the mock's own (see useMockBackend), and the port may change between runs
+  activeEnvironment = { ...buildEnvironment('local', baseUrl), name: 'mock', label: 'Mock backend', storageDirectory: '' };
+  console.log(`Using ${activeEnvironment.label} environment: ${activeEnvironment.baseUrl}`);
+}
+
 // Configure auto-updater
 function setupAutoUpdater() {
   // Configure logging
@@ -780,9 +1706,7 @@ function setupAutoUpdater() {
   autoUpdater.on('update-available', (info) => {
     console.log('Update available:', info.version);
     // Notify main window about available update
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('update-available', info);
-    }
+    sendNotice('update-available', info);
   });
 
   autoUpdater.on('update-not-available', (info) => {
@@ -804,9 +1728,7 @@ function setupAutoUpdater() {
   autoUpdater.on('update-downloaded', (info) => {
     console.log('Update downloaded:', info.version);
     // Notify main window that update is ready to install
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('update-downloaded', info);
-    }
+    sendNotice('update-downloaded', info);
   });
 }
 
@@ -822,9 +1744,33 @@ ipcMain.on('install-update', () => {
   autoUpdater.quitAndInstall(false, true);
 });
 
-app.whenReady().then(() => {
+app.whenReady().then(async () => {
   // Register deep link protocol first
-  registerDeepLinkProtocol();
+  const deepLinkRegistered = registerDeepLinkProtocol();
+
+  // The auth service is bound to the environment, so the mock has to be up first
+  if (useMockBackend) {
+    try {
+      await startMockBackend();
+    } catch (error) {
+      console.error('Failed to start mock backend:', error);
+    }
+  }
+
+  await initializeAuthService(deepLinkRegistered);
+
+  // Timers don't run while the system is suspended; refresh an expired token on resume
+  powerMonitor.on('suspend', () => {
+    console.log('System suspending');
+    authService.pauseTokenRefresh('system-suspend');
+  });
+  powerMonitor.on('resume', () => {
+    console.log('System resumed');
+    authService.resumeTokenRefresh('system-suspend');
+    quietHours.check();
+    // Timers were frozen while suspended; the wake-up time may have passed
+    checkSleepMode();
+  });
 
   // Setup auto-updater
   setupAutoUpdater();
@@ -836,10 +1782,16 @@ app.whenReady().then(() => {
   createMainWindow();
   // createSettingsWindow(); // Settings now embedded in mainWindow
 
-  // Ensure widget stays in bounds when screen changes
-  screen.on('display-metrics-changed', () => {
-    ensureWidgetInBounds();
-  });
+  registerShortcuts();
+  createTray();
+  quietHours.start();
+  restoreSleepMode();
+  updateWidgetOpacity();
+
+  // Keep the windows on a connected display when monitors are plugged, unplugged or rearranged
+  screen.on('display-added', reanchorWindows);
+  screen.on('display-removed', reanchorWindows);
+  screen.on('display-metrics-changed', reanchorWindows);
 });
 
 app.on('window-all-closed', () => {
@@ -851,9 +1803,14 @@ app.on('window-all-closed', () => {
   
   // Stop any running timers
   if (sleepTimer) {
-    clearInterval(sleepTimer);
+    clearTimeout(sleepTimer);
     sleepTimer = null;
   }
+
+  if (mockBackend) {
+    mockBackend.stop();
+    mockBackend = null;
+  }
   
   // Standard Electron pattern - quit on non-macOS platforms
   if (process.platform !== 'darwin') {
@@ -892,6 +1849,11 @@ app.on('activate', () => {
   }
 });
 
+app.on('will-quit', () => {
+  globalShortcut.unregisterAll();
+  destroyTray();
+});
+
 // Clean up on app quit - standard Electron pattern
 app.on('before-quit', () => {
   console.log('App is quitting, cleaning up resources');
@@ -902,7 +1864,7 @@ app.on('before-quit', () => {
   
   // Stop any running timers
   if (sleepTimer) {
-    clearInterval(sleepTimer);
+    clearTimeout(sleepTimer);
     sleepTimer = null;
   }
 });
@@ -1,6 +1,3 @@
-const { ipcRenderer } = require('electron');
-const DesktopApiClient = require('./apiClient');
-
 // Main window elements
 const dropdown = document.getElementById('dropdown');
 
@@ -26,12 +23,6 @@ function initializeDragging() {
     draggableArea.addEventListener('mousedown', handleDragStart);
     document.addEventListener('mousemove', handleDragMove);
     document.addEventListener('mouseup', handleDragEnd);
-    
-    // Listen for window position response
-    ipcRenderer.on('window-position', (event, x, y) => {
-        initialWindowX = x;
-        initialWindowY = y;
-    });
 }
 
 // Handle drag start
@@ -41,7 +32,10 @@ function handleDragStart(event) {
     dragStartY = event.screenY;
     
     // Get initial window position for stable dragging
-    ipcRenderer.send('get-window-position');
+    primitiv.window.getMainWindowPosition().then(({ x, y }) => {
+        initialWindowX = x;
+        initialWindowY = y;
+    });
     
     // Prevent text selection and event propagation during drag
     event.preventDefault();
@@ -64,7 +58,7 @@ function handleDragMove(event) {
     const newY = initialWindowY + deltaY;
     
     // Send movement command to main process with absolute position
-    ipcRenderer.send('move-main-window-absolute', newX, newY);
+    primitiv.window.moveMainWindowTo(newX, newY);
 }
 
 // Handle drag end
@@ -84,61 +78,92 @@ function handleDragEnd(event) {
     }, 100);
 }
 
-// Authentication service and API client
-let authService = null;
-let apiClient = null;
+// Auth state mirrored from the main process, where the auth service and API client run
+let currentAuthState = 'unauthenticated';
+let currentUser = null;
+let currentUserInitials = null;
+// Signed-in accounts ({ id, user, initials, active }) and the active one
+let currentAccounts = [];
+let currentAccountId = null;
+// Code and URL of a device-code login in progress
+let currentDeviceLogin = null;
+
+function isAuthenticated() {
+    return currentAuthState === 'authenticated' && currentUser !== null;
+}
 
-// Initialize authentication service
+// Initialize authentication state
 async function initializeAuth() {
     console.log('🚀 Main window initializeAuth called');
     try {
-        authService = window.desktopAuthService;
-        console.log('🚀 Auth service found:', !!authService);
-        if (!authService) {
-            console.error('Auth service not available');
-            return;
-        }
-
-        // Initialize auth service
-        await authService.init();
-        console.log('🚀 Auth service initialized, adding listener');
-        
-        // Initialize API client
-        apiClient = new DesktopApiClient(authService);
+        // Offline queue changes and pushed task events (tasks created or changed elsewhere)
+        primitiv.tasks.onPendingChanged(markPendingSyncRows);
+        primitiv.tasks.onEvent(onTaskEvent);
         
         // Add listener for auth state changes
-        authService.addListener(onAuthStateChange);
+        primitiv.auth.onStateChanged(onAuthStateChange);
         console.log('🚀 Main window listener added');
         
         // Update UI with current auth state
-        updateAuthState();
-        
-        // Listen for auth state changes after logout
-        listenForAuthUpdates();
+        onAuthStateChange(await primitiv.auth.getState());
         
-        console.log('🚀 Main window auth service and API client initialized');
+        console.log('🚀 Main window auth state initialized');
     } catch (error) {
         console.error('Error initializing auth:', error);
     }
 }
 
+// Replay queued offline edits as soon as connectivity returns
+window.addEventListener('online', async () => {
+    if (!isAuthenticated()) return;
+
+    console.log('Connectivity restored - replaying queued changes');
+    const { replayed } = await primitiv.tasks.resumeOnline();
+    if (replayed > 0) {
+        const activeFilter = document.querySelector('.filter-btn.active');
+        const filterStatus = activeFilter ? activeFilter.dataset.filter : 'pending';
+        await loadTasks(filterStatus);
+    }
+});
+
 // Handle authentication state changes
-function onAuthStateChange(authState, user) {
+function onAuthStateChange({ authState, user, initials, accounts, activeAccountId, deviceLogin }) {
     console.log('🔄 Main window received auth state change - State:', authState, 'User:', user ? 'Present' : 'None');
+    const switchedAccount = currentAccountId !== null && activeAccountId !== currentAccountId;
+
+    currentAuthState = authState;
+    currentUser = user;
+    currentUserInitials = initials || null;
+    currentAccounts = accounts || [];
+    currentAccountId = activeAccountId || null;
+    currentDeviceLogin = deviceLogin || null;
+
+    if (switchedAccount) {
+        // Nothing of the previous account may stay on screen
+        console.log('🔄 Active account changed, clearing its tasks');
+        closeTaskViews();
+        clearTaskData();
+    }
+
     updateAuthState();
+    updateDeviceLogin();
+    renderAccounts();
 }
 
-// Listen for auth updates from IPC
-function listenForAuthUpdates() {
-    ipcRenderer.on('auth-state-changed-after-logout', () => {
-        console.log('Received logout notification - updating main window auth state');
-        
-        // Force update the authentication state
-        updateAuthState();
-        
-        // Clear any cached task data
-        clearTaskData();
-    });
+// Show the code to enter on another device instead of the browser hint while a device-code login runs
+function updateDeviceLogin() {
+    const browserLogin = document.querySelector('[data-browser-login]');
+    const deviceLogin = document.querySelector('[data-device-login]');
+    if (!browserLogin || !deviceLogin) return;
+
+    browserLogin.style.display = currentDeviceLogin ? 'none' : 'block';
+    deviceLogin.style.display = currentDeviceLogin ? 'block' : 'none';
+    if (!currentDeviceLogin) return;
+
+    deviceLogin.querySelector('[data-device-login-url]').textContent = currentDeviceLogin.verificationUri;
+    deviceLogin.querySelector('[data-device-login-code]').textContent = currentDeviceLogin.userCode;
+    const expiresAt = new Date(currentDeviceLogin.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    deviceLogin.querySelector('[data-device-login-expiry]').textContent = `The code expires at ${expiresAt}.`;
 }
 
 // Clear cached task data after logout
@@ -162,20 +187,38 @@ function clearTaskData() {
         taskList.classList.add('empty');
     }
     
-    // Reset task count
+    // Reset task count and pagination
     updateTaskCount(null, 'pending');
+    taskPagination = { request: null, nextCursor: null, total: null, loadingMore: false };
+    updateLoadMoreIndicator();
+
+    // Hide offline indicator
+    updateCacheIndicator(null);
+
+    // Forget the previous account's sources
+    userSources = [];
+}
+
+// Leave the new task and task detail views for the task list
+function closeTaskViews() {
+    exitNotesEditMode(false);
+
+    const authenticatedState = document.querySelector('[data-auth-state="authenticated"]');
+    if (authenticatedState) {
+        authenticatedState.classList.remove('show-new-task', 'show-task-detail');
+    }
 }
 
 // Update authentication state in UI
 function updateAuthState() {
     console.log('🎯 updateAuthState called');
-    if (!authService || !dropdown) {
-        console.log('🎯 updateAuthState skipped - AuthService:', !!authService, 'Dropdown:', !!dropdown);
+    if (!dropdown) {
+        console.log('🎯 updateAuthState skipped - no dropdown');
         return;
     }
 
-    const authState = authService.getAuthState();
-    const user = authService.getUser();
+    const authState = currentAuthState;
+    const user = currentUser;
     console.log('🎯 Current auth state:', authState, 'User:', user ? 'Present' : 'None');
 
     // Hide all auth states
@@ -197,7 +240,7 @@ function updateAuthState() {
     // Update user data if authenticated
     if (authState === 'authenticated' && user) {
         console.log('🎯 User authenticated, updating profile and loading tasks');
-        updateUserProfile(user);
+        updateUserProfile(user, currentUserInitials);
         // Load tasks when authenticated
         loadTasks();
     } else if (authState === 'unauthenticated') {
@@ -217,8 +260,8 @@ let syncInProgress = false;
 // Trigger one-time sync and RICU recalculation when main window opens
 async function triggerSyncOnOpen() {
     try {
-        if (!apiClient || !authService?.isAuthenticated()) {
-            console.log('Cannot trigger sync - not authenticated or API client not available');
+        if (!isAuthenticated()) {
+            console.log('Cannot trigger sync - not authenticated');
             return;
         }
 
@@ -247,8 +290,8 @@ async function triggerSyncOnOpen() {
 
         // Trigger both in parallel (one-time, no recurring, respects 15-minute check)
         const [syncResult, ricuResult] = await Promise.allSettled([
-            apiClient.triggerAllSourcesSync(false), // false = not forced, respects timing
-            apiClient.triggerRICURecalculation(false)
+            primitiv.sync.triggerAll(false), // false = not forced, respects timing
+            primitiv.sync.triggerRicu(false)
         ]);
 
         let shouldReload = false;
@@ -272,10 +315,12 @@ async function triggerSyncOnOpen() {
             console.error('RICU recalculation failed:', ricuResult.reason);
         }
 
-        // Wait a bit for the jobs to process, then reload tasks
+        // Wait for the jobs to finish, then reload tasks
         if (shouldReload) {
-            // Poll for completion (check every 2 seconds, max 30 seconds)
-            await waitForSyncCompletion();
+            const jobs = [syncResult, ricuResult]
+                .filter(result => result.status === 'fulfilled')
+                .flatMap(result => result.value.jobs || []);
+            await waitForSyncCompletion(jobs);
 
             // Reload tasks after sync completes
             const activeFilter = document.querySelector('.filter-btn.active');
@@ -323,7 +368,8 @@ function showSyncingIndicator() {
                 border-radius: 50%;
                 animation: spin 0.8s linear infinite;
             "></div>
-            <span style="color: #666; font-size: 14px; font-weight: 500;">Syncing tasks...</span>
+            <span class="syncing-label" style="color: #666; font-size: 14px; font-weight: 500;">Syncing tasks...</span>
+            <ul class="syncing-jobs"></ul>
         `;
 
         // Add to top of list content
@@ -334,6 +380,37 @@ function showSyncingIndicator() {
     }
 
     syncingIndicator.style.display = 'flex';
+    updateSyncingIndicator([]);
+}
+
+// Show per-source progress of running sync jobs in the syncing indicator
+function updateSyncingIndicator(jobs) {
+    const syncingIndicator = document.querySelector('.syncing-indicator');
+    if (!syncingIndicator) return;
+
+    const jobList = syncingIndicator.querySelector('.syncing-jobs');
+    if (!jobList) return;
+
+    syncingIndicator.classList.toggle('has-jobs', jobs.length > 0);
+    jobList.innerHTML = jobs.map(job => {
+        let status;
+        if (job.state === 'completed') {
+            status = 'Done';
+        } else if (job.state === 'failed') {
+            status = 'Failed';
+        } else if (job.state === 'queued') {
+            status = 'Waiting';
+        } else {
+            status = `${Math.round(job.progress || 0)}%`;
+        }
+
+        return `
+            <li class="syncing-job ${job.state}" title="${escapeHtml(job.error || '')}">
+                <span class="syncing-job-label">${escapeHtml(job.label)}</span>
+                <span class="syncing-job-status">${status}</span>
+            </li>
+        `;
+    }).join('');
 }
 
 // Hide syncing indicator
@@ -345,32 +422,27 @@ function hideSyncingIndicator() {
 }
 
 // Wait for sync completion (poll backend for job status)
-async function waitForSyncCompletion() {
-    const maxWaitTime = 30000; // 30 seconds max
-    const pollInterval = 2000; // Check every 2 seconds
-    const startTime = Date.now();
-
-    while (Date.now() - startTime < maxWaitTime) {
-        // Wait for poll interval
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
-
-        // TODO: Could add API call here to check job status if needed
-        // For now, just wait a fixed amount of time
-        if (Date.now() - startTime > 15000) {
-            // After 15 seconds, assume it's done enough to show results
-            break;
-        }
+async function waitForSyncCompletion(jobs) {
+    // Nothing to wait for (e.g. sync skipped) - reload straight away
+    if (!jobs || jobs.length === 0) return;
+
+    updateSyncingIndicator(jobs);
+
+    const result = await primitiv.sync.waitForJobs(jobs, updateSyncingIndicator);
+
+    const failed = result.jobs.filter(job => job.state === 'failed');
+    if (failed.length > 0) {
+        console.warn('Sync jobs failed:', failed.map(job => `${job.label}: ${job.error || 'unknown error'}`));
     }
 }
 
-// Update user profile in authenticated state
-function updateUserProfile(userData) {
+// Update user profile in authenticated state (initials come with the auth state)
+function updateUserProfile(userData, initials) {
     const userInitials = document.querySelector('.user-initials');
     const userName = document.querySelector('.user-name');
     const userEmail = document.querySelector('.user-email');
 
-    if (userInitials && userData.name) {
-        const initials = userData.name.split(' ').map(n => n[0]).join('').toUpperCase();
+    if (userInitials && initials) {
         userInitials.textContent = initials;
     }
 
@@ -409,14 +481,14 @@ document.addEventListener('click', (e) => {
     
     // If click is outside the dropdown content, close the window
     if (!dropdown.contains(e.target)) {
-        ipcRenderer.send('hide-main-window');
+        primitiv.window.hideMainWindow();
     }
 });
 
 // Handle escape key to close window
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
-        ipcRenderer.send('hide-main-window');
+        primitiv.window.hideMainWindow();
     }
 });
 
@@ -424,39 +496,29 @@ document.addEventListener('keydown', (e) => {
 document.addEventListener('click', async (e) => {
     if (e.target.matches('[data-auth-login]')) {
         console.log('Login button clicked in main window');
-        if (authService) {
-            await authService.login();
-        }
+        await primitiv.auth.login();
     }
 
     // Handle manual link click if browser didn't open
     if (e.target.matches('[data-auth-link]')) {
         e.preventDefault();
         console.log('Manual auth link clicked');
-        if (authService) {
-            await authService.openLoginUrl();
-        }
+        await primitiv.auth.openLoginUrl();
     }
-});
 
-// Listen for deep link authentication events from main process
-ipcRenderer.on('auth-completed', async (event, authData) => {
-    if (authService) {
-        const success = await authService.handleDeepLinkAuth(authData);
-        if (success) {
-            console.log('Authentication completed successfully');
-        } else {
-            console.log('Authentication failed');
+    if (e.target.matches('[data-auth-device-login]')) {
+        e.preventDefault();
+        console.log('Device code login clicked');
+        const deviceLogin = await primitiv.auth.loginWithDeviceCode();
+        if (!deviceLogin) {
+            alert('Couldn\'t start signing in with a code. Check your connection and try again.');
         }
-    } else {
-        console.log('Auth service not available');
     }
-});
 
-ipcRenderer.on('auth-error', (event, error) => {
-    console.log('Received auth error from deep link:', error);
-    if (authService) {
-        authService.handleDeepLinkError(error);
+    if (e.target.matches('[data-auth-cancel]')) {
+        e.preventDefault();
+        console.log('Sign in cancelled');
+        await primitiv.auth.cancelLogin();
     }
 });
 
@@ -466,6 +528,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     setupTaskFilters();
     setupRefreshButton();
     setupSearchInput();
+    setupInfiniteScroll();
     setupNewTaskView();
     setupTaskDetailView();
     initializeDragging();
@@ -483,7 +546,7 @@ function setupUpdateHandlers() {
     const progressBar = document.querySelector('[data-progress-bar]');
 
     // Listen for update available
-    ipcRenderer.on('update-available', (event, info) => {
+    primitiv.updates.onAvailable((info) => {
         console.log('Update available:', info.version);
 
         if (updateBanner && updateMessage && updateButton) {
@@ -494,7 +557,7 @@ function setupUpdateHandlers() {
 
             // Handle download button click
             updateButton.onclick = () => {
-                ipcRenderer.send('download-update');
+                primitiv.updates.download();
                 updateButton.disabled = true;
                 updateButton.textContent = 'Downloading...';
             };
@@ -502,7 +565,7 @@ function setupUpdateHandlers() {
     });
 
     // Listen for download progress
-    ipcRenderer.on('update-download-progress', (event, progressObj) => {
+    primitiv.updates.onProgress((progressObj) => {
         console.log(`Download progress: ${progressObj.percent}%`);
 
         if (updateMessage && updateProgress && progressBar) {
@@ -513,7 +576,7 @@ function setupUpdateHandlers() {
     });
 
     // Listen for update downloaded
-    ipcRenderer.on('update-downloaded', (event, info) => {
+    primitiv.updates.onDownloaded((info) => {
         console.log('Update downloaded:', info.version);
 
         if (updateBanner && updateMessage && updateButton && updateProgress) {
@@ -525,33 +588,39 @@ function setupUpdateHandlers() {
 
             // Handle install button click
             updateButton.onclick = () => {
-                ipcRenderer.send('install-update');
+                primitiv.updates.install();
             };
         }
     });
 }
 
 // Listen for main window being shown (for positioning only)
-ipcRenderer.on('main-window-shown', async () => {
+primitiv.window.onMainWindowShown(async () => {
     console.log('Main window shown - positioning only, no sync');
     // No sync trigger - just window positioning
 });
 
 // Listen for sync trigger from user click
-ipcRenderer.on('trigger-sync-on-click', async () => {
+primitiv.window.onSyncRequested(async () => {
     console.log('Sync triggered by user click');
     
     // Trigger sync directly on user action
-    if (apiClient && authService?.isAuthenticated()) {
+    if (isAuthenticated()) {
         await triggerSyncOnOpen();
     }
 });
 
+primitiv.window.onRefreshRequested(async () => {
+    if (isAuthenticated()) {
+        await refreshTasks();
+    }
+});
+
 // Task loading and management functions
 async function loadTasks(filterStatus = 'pending') {
     try {
-        if (!apiClient || !authService?.isAuthenticated()) {
-            console.log('Cannot load tasks - not authenticated or API client not available');
+        if (!isAuthenticated()) {
+            console.log('Cannot load tasks - not authenticated');
             return;
         }
 
@@ -570,32 +639,195 @@ async function loadTasks(filterStatus = 'pending') {
         }
 
         // Build request parameters
-        const requestParams = { limit: 50 };
+        const requestParams = { limit: TASK_PAGE_SIZE };
         if (filterStatus === 'completed') {
             requestParams.status = 'completed';
         } else {
             requestParams.status = 'pending';
         }
 
-        const response = await apiClient.getTasks(requestParams);
+        // A new first page replaces whatever was loaded before
+        const request = { params: requestParams, filterStatus };
+        taskPagination = { request, nextCursor: null, total: null, loadingMore: false };
+
+        const response = await primitiv.tasks.list(requestParams);
         const tasks = response.data?.tasks || [];
+
+        // A newer loadTasks call has taken over
+        if (taskPagination.request !== request) return;
+
+        taskPagination.nextCursor = response.data?.nextCursor || null;
+        taskPagination.total = response.data?.total ?? tasks.length;
         
-        console.log('Loaded tasks:', tasks.length);
+        console.log('Loaded tasks:', tasks.length, 'of', taskPagination.total, response.fromCache ? '(from offline cache)' : '');
         
         // Render tasks
         renderTasks(tasks, filterStatus);
         
-        // Update task count
-        updateTaskCount(tasks.length, filterStatus);
+        // Update task count (of the matches, while searching)
+        const searchTerm = getSearchTerm();
+        if (searchTerm) {
+            filterTasksBySearch(searchTerm);
+        } else {
+            updateTaskCount(taskPagination.total, filterStatus);
+        }
+        updateLoadMoreIndicator();
+        loadMoreIfNearBottom();
+
+        // Let the user know when they're looking at an offline copy
+        updateCacheIndicator(response.fromCache ? response.cachedAt : null);
         
     } catch (error) {
         console.error('Failed to load tasks:', error);
         // Show empty state on error
+        taskPagination.nextCursor = null;
         renderTasks([], filterStatus);
         updateTaskCount(0, filterStatus);
+        updateLoadMoreIndicator();
+
+        if (error.isNetworkError) {
+            showCacheIndicatorMessage('Offline · no tasks have been cached yet');
+        } else {
+            updateCacheIndicator(null);
+        }
     }
 }
 
+// ===== PAGINATION =====
+
+const TASK_PAGE_SIZE = 50;
+// Start fetching the next page this close (in px) to the bottom of the list
+const LOAD_MORE_THRESHOLD_PX = 200;
+
+// Current list query, cursor for the next page and the server-side total
+let taskPagination = { request: null, nextCursor: null, total: null, loadingMore: false };
+
+// Append the next page of tasks to the list
+async function loadMoreTasks() {
+    const { request, nextCursor, loadingMore } = taskPagination;
+    if (!request || !nextCursor || loadingMore) return;
+
+    taskPagination.loadingMore = true;
+    updateLoadMoreIndicator();
+
+    try {
+        const response = await primitiv.tasks.list({ ...request.params, cursor: nextCursor });
+
+        // The list was reloaded (filter change, refresh) while this page was loading
+        if (taskPagination.request !== request) return;
+
+        const tasks = response.data?.tasks || [];
+        taskPagination.nextCursor = response.data?.nextCursor || null;
+        if (response.data?.total != null) {
+            taskPagination.total = response.data.total;
+        }
+
+        appendTaskRows(tasks, request.filterStatus);
+
+        // New rows have to go through an active search like the rest
+        const searchTerm = getSearchTerm();
+        if (searchTerm) {
+            filterTasksBySearch(searchTerm);
+        } else {
+            updateTaskCount(taskPagination.total, request.filterStatus);
+        }
+    } catch (error) {
+        // Leave the cursor in place so scrolling again retries
+        console.error('Failed to load more tasks:', error);
+        if (taskPagination.request === request) {
+            taskPagination.loadingMore = false;
+            updateLoadMoreIndicator();
+        }
+        return;
+    }
+
+    if (taskPagination.request === request) {
+        taskPagination.loadingMore = false;
+        updateLoadMoreIndicator();
+        loadMoreIfNearBottom();
+    }
+}
+
+function appendTaskRows(tasks, filterStatus) {
+    const taskItemsContainer = document.querySelector('[data-task-items]');
+    if (!taskItemsContainer) return;
+
+    // Skip tasks already on screen (e.g. pushed in while scrolling)
+    const newTasks = tasks.filter(task => !findTaskRow(task.id));
+    if (newTasks.length === 0) return;
+
+    const template = document.createElement('template');
+    template.innerHTML = newTasks.map(task => createTaskHTML(task, filterStatus)).join('');
+    const newRows = Array.from(template.content.children);
+    taskItemsContainer.append(...newRows);
+
+    setupTaskActionHandlers(newRows);
+    markPendingSyncRows();
+}
+
+function updateLoadMoreIndicator() {
+    const indicator = document.querySelector('[data-load-more]');
+    if (!indicator) return;
+
+    indicator.style.display = taskPagination.nextCursor ? 'flex' : 'none';
+    indicator.textContent = taskPagination.loadingMore ? 'Loading more tasks...' : '';
+}
+
+// Fetch the next page once the user scrolls near the end of the list
+function loadMoreIfNearBottom() {
+    const taskList = document.querySelector('[data-task-list]');
+    if (!taskList) return;
+
+    const distanceToBottom = taskList.scrollHeight - taskList.scrollTop - taskList.clientHeight;
+    if (distanceToBottom < LOAD_MORE_THRESHOLD_PX) {
+        loadMoreTasks();
+    }
+}
+
+function setupInfiniteScroll() {
+    const taskList = document.querySelector('[data-task-list]');
+    if (!taskList) return;
+
+    taskList.addEventListener('scroll', loadMoreIfNearBottom);
+}
+
+// Show or hide the "cached as of …" indicator above the task list
+function updateCacheIndicator(cachedAt) {
+    if (!cachedAt) {
+        const indicator = document.querySelector('[data-cache-indicator]');
+        if (indicator) indicator.style.display = 'none';
+        return;
+    }
+
+    showCacheIndicatorMessage(`Offline · showing tasks cached as of ${formatCachedAt(cachedAt)}`);
+}
+
+function showCacheIndicatorMessage(message) {
+    const indicator = document.querySelector('[data-cache-indicator]');
+    const indicatorText = document.querySelector('[data-cache-indicator-text]');
+    if (!indicator || !indicatorText) return;
+
+    indicatorText.textContent = message;
+    indicator.style.display = 'flex';
+}
+
+// Format a cache timestamp: time only for today, date and time otherwise
+function formatCachedAt(timestamp) {
+    const cachedDate = new Date(timestamp);
+    const isToday = cachedDate.toDateString() === new Date().toDateString();
+
+    if (isToday) {
+        return cachedDate.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    }
+
+    return cachedDate.toLocaleString([], {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
 function renderTasks(tasks, filterStatus) {
     const taskList = document.querySelector('[data-task-list]');
     if (!taskList) return;
@@ -620,6 +852,9 @@ function renderTasks(tasks, filterStatus) {
         if (targetEmptyState) {
             targetEmptyState.style.display = 'flex';
         }
+
+        // Stuck changes can belong to tasks that are no longer listed
+        markPendingSyncRows();
         return;
     }
 
@@ -650,6 +885,209 @@ function renderTasks(tasks, filterStatus) {
     
     // Add click handler for link tools button
     setupLinkToolsHandler();
+
+    // Badge rows that still have unsynced offline changes
+    markPendingSyncRows();
+}
+
+// Show pending-sync badges on rows with queued mutations (stuck ones can be discarded)
+async function markPendingSyncRows(pendingMutations) {
+    const mutations = pendingMutations || (isAuthenticated() ? await primitiv.tasks.pendingChanges() : []);
+    const taskRows = document.querySelectorAll('.task-row');
+
+    updateSyncFailedBanner(mutations.filter(m => m.stuck));
+
+    taskRows.forEach(row => {
+        const rowMutations = mutations.filter(m => String(m.taskId) === row.dataset.taskId);
+        const existingBadge = row.querySelector('[data-pending-sync]');
+        if (existingBadge) existingBadge.remove();
+
+        if (rowMutations.length === 0) {
+            row.classList.remove('pending-sync');
+            return;
+        }
+
+        const stuckMutation = rowMutations.find(m => m.stuck);
+        const badge = document.createElement('span');
+        badge.className = `pending-sync-badge${stuckMutation ? ' stuck' : ''}`;
+        badge.dataset.pendingSync = '';
+
+        if (stuckMutation) {
+            badge.title = `Sync failed: ${stuckMutation.lastError || 'rejected by server'}`;
+            badge.innerHTML = `
+                <span class="pending-sync-text">Sync failed</span>
+                <button class="pending-sync-discard" data-discard-mutation="${escapeHtml(stuckMutation.id)}" aria-label="Discard change">&times;</button>
+            `;
+        } else {
+            badge.title = 'Saved offline - will sync when you are back online';
+            badge.innerHTML = '<span class="pending-sync-text">Pending sync</span>';
+        }
+
+        row.classList.add('pending-sync');
+        row.querySelector('.task-left')?.appendChild(badge);
+    });
+}
+
+// List-level notice for stuck changes, which may belong to tasks no longer in the list
+// (a completed or trashed task, or one deleted on the web)
+function updateSyncFailedBanner(stuckMutations) {
+    const banner = document.querySelector('[data-sync-failed]');
+    const bannerText = document.querySelector('[data-sync-failed-text]');
+    if (!banner || !bannerText) return;
+
+    if (stuckMutations.length === 0) {
+        banner.style.display = 'none';
+        return;
+    }
+
+    bannerText.textContent = `${stuckMutations.length} ${stuckMutations.length === 1 ? 'change' : 'changes'} failed to sync`;
+    banner.title = stuckMutations.map(m => m.lastError || 'Rejected by server').join('\n');
+    banner.style.display = 'flex';
+}
+
+// Discard stuck offline changes, replay whatever was queued behind them, then refresh from the server
+async function discardChanges(mutationIds) {
+    for (const mutationId of mutationIds) {
+        await primitiv.tasks.discardChange(mutationId);
+    }
+
+    await primitiv.tasks.replayChanges();
+    const activeFilter = document.querySelector('.filter-btn.active');
+    const filterStatus = activeFilter ? activeFilter.dataset.filter : 'pending';
+    await loadTasks(filterStatus);
+}
+
+// Discard a stuck offline change
+document.addEventListener('click', async (e) => {
+    const discardBtn = e.target.closest('[data-discard-mutation]');
+    if (!discardBtn || !isAuthenticated()) return;
+
+    e.stopPropagation();
+    if (!confirm('Discard this unsynced change? It will be lost.')) return;
+
+    await discardChanges([discardBtn.dataset.discardMutation]);
+});
+
+// Discard every stuck offline change
+document.addEventListener('click', async (e) => {
+    if (!e.target.closest('[data-discard-stuck]') || !isAuthenticated()) return;
+
+    const stuckMutations = (await primitiv.tasks.pendingChanges()).filter(m => m.stuck);
+    if (stuckMutations.length === 0) return;
+    const message = stuckMutations.length === 1
+        ? 'Discard this unsynced change? It will be lost.'
+        : `Discard these ${stuckMutations.length} unsynced changes? They will be lost.`;
+    if (!confirm(message)) return;
+
+    await discardChanges(stuckMutations.map(m => m.id));
+});
+
+// ===== LIVE TASK UPDATES =====
+
+let taskEventsHaveConnected = false;
+
+// Apply pushed task events to the visible list in place
+function onTaskEvent(event, detail) {
+    if (event === 'connection-changed') {
+        // Events may have been missed while disconnected - catch up once
+        if (detail.connected && taskEventsHaveConnected) {
+            loadTasks(getActiveFilterStatus());
+        }
+        if (detail.connected) taskEventsHaveConnected = true;
+        return;
+    }
+
+    if (event === 'task.deleted') {
+        removeTaskRow(detail.id ?? detail.task?.id);
+    } else if (detail.task) {
+        upsertTaskRow(detail.task);
+    }
+}
+
+function getActiveFilterStatus() {
+    const activeFilter = document.querySelector('.filter-btn.active');
+    return activeFilter ? activeFilter.dataset.filter : 'pending';
+}
+
+function findTaskRow(taskId) {
+    return Array.from(document.querySelectorAll('.task-row')).find(row => row.dataset.taskId === String(taskId)) || null;
+}
+
+// Insert, update or move a single row without re-rendering the list
+function upsertTaskRow(task) {
+    const taskItemsContainer = document.querySelector('[data-task-items]');
+    if (!taskItemsContainer) return;
+
+    const filterStatus = getActiveFilterStatus();
+    const existingRow = findTaskRow(task.id);
+
+    // Local edits win until they have synced
+    if (existingRow?.classList.contains('pending-sync')) return;
+
+    const belongsInList = filterStatus === 'completed'
+        ? task.status === 'completed'
+        : task.status !== 'completed' && task.status !== 'trashed';
+    if (!belongsInList) {
+        removeTaskRow(task.id);
+        return;
+    }
+
+    const template = document.createElement('template');
+    template.innerHTML = createTaskHTML(task, filterStatus).trim();
+    const newRow = template.content.firstElementChild;
+
+    if (existingRow) {
+        existingRow.remove();
+    } else if (taskPagination.total != null) {
+        taskPagination.total++;
+    }
+
+    // Keep RICU order (highest first)
+    const ricuScore = Number(newRow.dataset.ricu);
+    const nextRow = Array.from(taskItemsContainer.querySelectorAll('.task-row'))
+        .find(row => Number(row.dataset.ricu) < ricuScore);
+
+    // Below everything loaded so far - it belongs on a page that hasn't been fetched yet
+    if (!nextRow && taskPagination.nextCursor) {
+        refreshTaskListState(filterStatus);
+        return;
+    }
+
+    taskItemsContainer.insertBefore(newRow, nextRow || null);
+
+    setupTaskActionHandlers([newRow]);
+    refreshTaskListState(filterStatus);
+}
+
+function removeTaskRow(taskId) {
+    const row = findTaskRow(taskId);
+    if (!row || row.classList.contains('pending-sync')) return;
+
+    row.remove();
+    if (taskPagination.total != null) {
+        taskPagination.total = Math.max(0, taskPagination.total - 1);
+    }
+    refreshTaskListState(getActiveFilterStatus());
+}
+
+// Sync the count badge and empty state with the rows on screen
+function refreshTaskListState(filterStatus) {
+    const taskList = document.querySelector('[data-task-list]');
+    if (!taskList) return;
+
+    const rowCount = taskList.querySelectorAll('.task-row').length;
+    const listContent = taskList.querySelector('[data-list-content]');
+    const targetEmptyState = taskList.querySelector(`[data-empty-state][data-filter="${filterStatus}"]`);
+
+    if (listContent) listContent.style.display = rowCount > 0 ? 'block' : 'none';
+    if (targetEmptyState) targetEmptyState.style.display = rowCount > 0 ? 'none' : 'flex';
+
+    const searchTerm = getSearchTerm();
+    if (searchTerm) {
+        filterTasksBySearch(searchTerm);
+    } else {
+        updateTaskCount(taskPagination.total ?? rowCount, filterStatus);
+    }
 }
 
 function createTaskHTML(task, filterStatus) {
@@ -663,7 +1101,7 @@ function createTaskHTML(task, filterStatus) {
     const isCompleted = task.status === 'completed' || filterStatus === 'completed';
     
     return `
-        <div class="task-row" data-task-id="${task.id}" data-ricu="${ricuScore}" data-completed="${isCompleted}" data-task-click>
+        <div class="task-row" data-task-id="${escapeHtml(task.id)}" data-ricu="${ricuScore}" data-completed="${isCompleted}" data-task-click>
             <div class="task-left">
                 <div class="task-icon">${icon}</div>
                 <div class="task-title">${escapeHtml(title)}</div>
@@ -699,8 +1137,7 @@ function getTaskIcon(task) {
     }
 }
 
-function setupTaskActionHandlers() {
-    const taskItems = document.querySelectorAll('.task-row');
+function setupTaskActionHandlers(taskItems = document.querySelectorAll('.task-row')) {
     
     taskItems.forEach(item => {
         const deleteBtn = item.querySelector('[data-action="delete"]');
@@ -720,7 +1157,7 @@ function setupTaskActionHandlers() {
 
 async function deleteTask(taskId) {
     try {
-        await apiClient.trashTask(taskId);
+        await primitiv.tasks.trash(taskId);
         console.log('Task deleted:', taskId);
         // Reload tasks to show updated state
         loadTasks();
@@ -941,13 +1378,13 @@ function setupTaskDragAndDrop() {
 
 async function updateTaskPriority(taskId, newRicu, taskElement) {
     try {
-        if (!apiClient) {
-            console.error('API client not available');
+        if (!isAuthenticated()) {
+            console.error('Not authenticated');
             return;
         }
 
         // Get current task data to preserve reach, confidence, urgency
-        const response = await apiClient.getTask(taskId);
+        const response = await primitiv.tasks.get(taskId);
         const currentTask = response.data.task;
 
         // Calculate required impact to achieve target RICU
@@ -958,7 +1395,7 @@ async function updateTaskPriority(taskId, newRicu, taskElement) {
         const newImpact = (newRicu * urgency) / (reach * confidence);
 
         // Update task with new impact and RICU
-        await apiClient.updateTask(taskId, {
+        await primitiv.tasks.update(taskId, {
             impact: Math.max(1, Math.min(10, newImpact)),
             ricu: newRicu
         });
@@ -1001,10 +1438,14 @@ function updateTaskCount(count, filterStatus) {
 }
 
 
+// Escape text for use in HTML content and quoted attribute values
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 // Setup task filter functionality
@@ -1033,54 +1474,53 @@ function setupRefreshButton() {
     const refreshBtn = document.querySelector('[data-refresh-tasks]');
 
     if (refreshBtn) {
-        refreshBtn.addEventListener('click', async () => {
-            // Prevent multiple clicks while processing
-            if (refreshBtn.disabled) {
-                return;
-            }
-            
-            // Disable button to prevent duplicate clicks
-            refreshBtn.disabled = true;
-            
-            try {
-                // Add spinning animation to button
-                refreshBtn.style.animation = 'spin 1s linear infinite';
-                refreshBtn.style.opacity = '0.7';
-
-                // Show syncing indicator
-                showSyncingIndicator();
-
-                // Trigger source sync (forced)
-                if (apiClient) {
-                    await apiClient.forceSync();
-                    console.log('Force sync triggered (manual refresh)');
-                }
+        refreshBtn.addEventListener('click', () => refreshTasks());
+    }
+}
 
-                // Wait for sync to complete
-                await waitForSyncCompletion();
+// Force a source sync, wait for its jobs and reload the list (refresh button, "Sync now" in the tray)
+async function refreshTasks() {
+    const refreshBtn = document.querySelector('[data-refresh-tasks]');
 
-                // Reload tasks
-                const activeFilter = document.querySelector('.filter-btn.active');
-                const filterStatus = activeFilter ? activeFilter.dataset.filter : 'pending';
-                await loadTasks(filterStatus);
+    // Prevent multiple clicks while processing
+    if (refreshBtn && refreshBtn.disabled) {
+        return;
+    }
+    
+    // Disable button to prevent duplicate clicks
+    if (refreshBtn) {
+        refreshBtn.disabled = true;
+        // Add spinning animation to button
+        refreshBtn.style.animation = 'spin 1s linear infinite';
+        refreshBtn.style.opacity = '0.7';
+    }
+    
+    try {
+        // Show syncing indicator
+        showSyncingIndicator();
 
-                // Hide syncing indicator
-                hideSyncingIndicator();
+        // Trigger source sync (forced) and wait for the jobs to complete
+        if (isAuthenticated()) {
+            const result = await primitiv.sync.force();
+            console.log('Force sync triggered (manual refresh)');
+            await waitForSyncCompletion(result.jobs);
+        }
 
-                // Reset button state
-                refreshBtn.style.animation = '';
-                refreshBtn.style.opacity = '1';
+        // Reload tasks
+        const activeFilter = document.querySelector('.filter-btn.active');
+        const filterStatus = activeFilter ? activeFilter.dataset.filter : 'pending';
+        await loadTasks(filterStatus);
+    } catch (error) {
+        console.error('Refresh failed:', error);
+    } finally {
+        hideSyncingIndicator();
 
-            } catch (error) {
-                console.error('Refresh failed:', error);
-                refreshBtn.style.animation = '';
-                refreshBtn.style.opacity = '1';
-                hideSyncingIndicator();
-            } finally {
-                // Re-enable button
-                refreshBtn.disabled = false;
-            }
-        });
+        // Reset button state
+        if (refreshBtn) {
+            refreshBtn.style.animation = '';
+            refreshBtn.style.opacity = '1';
+            refreshBtn.disabled = false;
+        }
     }
 }
 
@@ -1134,6 +1574,12 @@ function setupSearchInput() {
     }
 }
 
+// Current contents of the search box ('' when not searching)
+function getSearchTerm() {
+    const searchInput = document.querySelector('[data-search-input]');
+    return searchInput ? searchInput.value.trim() : '';
+}
+
 // Filter tasks by search term (similar to extension logic)
 function filterTasksBySearch(searchTerm) {
     const taskList = document.querySelector('[data-task-list]');
@@ -1148,10 +1594,10 @@ function filterTasksBySearch(searchTerm) {
             row.style.display = 'flex';
         });
         
-        // Update task count based on current filter
+        // Back to the server-side total, which counts pages not loaded yet
         const activeFilter = document.querySelector('.filter-btn.active');
         const filterStatus = activeFilter ? activeFilter.dataset.filter : 'pending';
-        updateTaskCount(taskRows.length, filterStatus);
+        updateTaskCount(taskPagination.total ?? taskRows.length, filterStatus);
         
         // Show/hide empty state
         const listContent = taskList.querySelector('[data-list-content]');
@@ -1211,15 +1657,34 @@ function setupLinkToolsHandler() {
     const linkToolsBtn = document.querySelector('[data-link-tools]');
     if (linkToolsBtn) {
         linkToolsBtn.addEventListener('click', () => {
-            // Open Primitiv dashboard in default browser
-            const { shell } = require('electron');
-            shell.openExternal('https://primitiv.tools/dashboard');
+            // Open Primitiv dashboard (of the active environment) in default browser
+            primitiv.window.openDashboard();
         });
     }
 }
 
 // ===== NEW TASK VIEW FUNCTIONALITY =====
 
+function openNewTaskView() {
+    // Get the authenticated auth state container
+    const authenticatedState = document.querySelector('[data-auth-state="authenticated"]');
+    if (authenticatedState) {
+        // Toggle to show new task view
+        authenticatedState.classList.add('show-new-task');
+        authenticatedState.classList.remove('show-task-detail');
+        console.log('show-new-task class added');
+        
+        // Focus on the title input
+        setTimeout(() => {
+            const titleInput = authenticatedState.querySelector('.new-task-view .task-title-input');
+            if (titleInput) {
+                titleInput.focus();
+                titleInput.select();
+            }
+        }, 50);
+    }
+}
+
 function setupNewTaskView() {
     // New task button handler
     const newTaskBtn = document.querySelector('[data-new-task]');
@@ -1229,24 +1694,7 @@ function setupNewTaskView() {
             event.stopPropagation();
             
             console.log('New task button clicked!');
-            
-            // Get the authenticated auth state container
-            const authenticatedState = document.querySelector('[data-auth-state="authenticated"]');
-            if (authenticatedState) {
-                // Toggle to show new task view
-                authenticatedState.classList.add('show-new-task');
-                authenticatedState.classList.remove('show-task-detail');
-                console.log('show-new-task class added');
-                
-                // Focus on the title input
-                setTimeout(() => {
-                    const titleInput = authenticatedState.querySelector('.new-task-view .task-title-input');
-                    if (titleInput) {
-                        titleInput.focus();
-                        titleInput.select();
-                    }
-                }, 50);
-            }
+            openNewTaskView();
         });
     }
 
@@ -1291,8 +1739,8 @@ function setupNewTaskView() {
                 };
 
                 // Create task via API
-                if (apiClient) {
-                    const response = await apiClient.createTask(taskData);
+                if (isAuthenticated()) {
+                    const response = await primitiv.tasks.create(taskData);
                     console.log('Task created successfully:', response);
                     
                     // Clear form
@@ -1335,7 +1783,7 @@ function setupTaskDetailView() {
         const taskClickElement = event.target.closest('[data-task-click]');
         if (taskClickElement) {
             // If clicking on action buttons, don't trigger task detail
-            if (event.target.closest('.task-action')) {
+            if (event.target.closest('.task-action') || event.target.closest('[data-discard-mutation]')) {
                 return;
             }
             
@@ -1393,8 +1841,8 @@ function setupTaskDetailView() {
                 };
 
                 // Update task via API
-                if (apiClient) {
-                    await apiClient.updateTask(taskId, taskData);
+                if (isAuthenticated()) {
+                    await primitiv.tasks.update(taskId, taskData);
                     console.log('Task updated successfully');
                     
                     // Go back to task list
@@ -1437,8 +1885,8 @@ function setupTaskDetailView() {
                 if (enhanceText) enhanceText.textContent = 'Enhancing...';
 
                 // Enhance task via API
-                if (apiClient) {
-                    const response = await apiClient.enhanceTask(taskId);
+                if (isAuthenticated()) {
+                    const response = await primitiv.tasks.enhance(taskId);
                     console.log('Task enhanced successfully:', response);
 
                     // Hide the enhance button after successful enhancement
@@ -1476,8 +1924,8 @@ function setupTaskDetailView() {
                 if (completeText) completeText.textContent = 'Completing...';
 
                 // Complete task via API
-                if (apiClient) {
-                    await apiClient.completeTask(taskId);
+                if (isAuthenticated()) {
+                    await primitiv.tasks.complete(taskId);
                     console.log('Task completed successfully');
 
                     // Go back to task list
@@ -1519,8 +1967,8 @@ function setupTaskDetailView() {
                 };
 
                 // Update task via API
-                if (apiClient) {
-                    await apiClient.updateTask(taskId, taskData);
+                if (isAuthenticated()) {
+                    await primitiv.tasks.update(taskId, taskData);
                     console.log('Task date updated successfully');
                 }
 
@@ -1675,8 +2123,8 @@ async function saveTaskNotes() {
         };
 
         // Update task via API
-        if (apiClient) {
-            await apiClient.updateTask(taskId, taskData);
+        if (isAuthenticated()) {
+            await primitiv.tasks.update(taskId, taskData);
             console.log('Task notes updated successfully');
 
             // Update display with new content
@@ -1704,8 +2152,8 @@ async function saveTaskNotes() {
 
 async function showTaskDetail(taskId) {
     try {
-        if (!apiClient) {
-            console.error('API client not available');
+        if (!isAuthenticated()) {
+            console.error('Not authenticated');
             return;
         }
 
@@ -1723,7 +2171,7 @@ async function showTaskDetail(taskId) {
         showTaskDetailSkeleton();
 
         // Fetch task data
-        const response = await apiClient.getTask(taskId);
+        const response = await primitiv.tasks.get(taskId);
         const task = response.data.task;
         
         console.log('Task detail data:', task);
@@ -1979,9 +2427,9 @@ function createParticipantElement(participant) {
 
     userInfo.innerHTML = `
         <div class="user-avatar-small">
-            <div class="user-initials-small">${initials}</div>
+            <div class="user-initials-small">${escapeHtml(initials)}</div>
         </div>
-        <div class="user-name-small">${name}</div>
+        <div class="user-name-small">${escapeHtml(name)}</div>
     `;
 
     return userInfo;
@@ -2096,7 +2544,7 @@ async function handleSuggestionRating(taskId, suggestionIndex, ratingType, thumb
             const newRating = ratingType === 'up' ? 'good' : 'bad';
             
             // Call API to update rating
-            await apiClient.rateTaskSuggestion(taskId, suggestionIndex, newRating);
+            await primitiv.tasks.rateSuggestion(taskId, suggestionIndex, newRating);
             
             // Apply new rating to UI
             if (newRating === 'good') {
@@ -2157,6 +2605,11 @@ function setupSettings() {
 
     // Setup click handlers
     setupSettingsClickHandlers();
+    setupSourcesPanel();
+    setupAccountsPanel();
+    setupShortcutsPanel();
+    setupLayoutPanel();
+    setupQuietHoursPanel();
 
     // Setup sleep modal
     setupSleepModal();
@@ -2192,16 +2645,13 @@ function hideSettings() {
         settingsOverlay.style.display = 'none';
 
         // Restore the active auth state
-        if (authService) {
-            const currentAuthState = authService.getAuthState();
-            const authStateElement = document.querySelector(`[data-auth-state="${currentAuthState}"]`);
-            if (authStateElement) {
-                authStateElement.classList.add('active');
-            }
+        const authStateElement = document.querySelector(`[data-auth-state="${currentAuthState}"]`);
+        if (authStateElement) {
+            authStateElement.classList.add('active');
         }
 
         // Show task management view if authenticated
-        if (taskManagement && authService && authService.getAuthState() === 'authenticated') {
+        if (taskManagement && currentAuthState === 'authenticated') {
             taskManagement.classList.add('active');
         }
     }
@@ -2219,22 +2669,656 @@ function toggleSettings() {
 
 function updateSettingsUIForAuthState() {
     const integrationsOption = document.querySelector('[data-integrations]');
+    const sourcesPanel = document.querySelector('[data-sources-panel]');
+    const accountsPanel = document.querySelector('[data-accounts-panel]');
     const logoutOption = document.querySelector('[data-logout]');
     const loginOption = document.querySelector('[data-login]');
 
-    const isAuth = authService && authService.getAuthState() === 'authenticated';
+    const isAuth = currentAuthState === 'authenticated';
 
     if (isAuth) {
         if (integrationsOption) integrationsOption.style.display = 'flex';
+        if (sourcesPanel) sourcesPanel.style.display = 'flex';
+        if (accountsPanel) accountsPanel.style.display = 'flex';
         if (logoutOption) logoutOption.style.display = 'flex';
         if (loginOption) loginOption.style.display = 'none';
+        renderAccounts();
+        loadSources();
     } else {
         if (integrationsOption) integrationsOption.style.display = 'none';
+        if (sourcesPanel) sourcesPanel.style.display = 'none';
+        if (accountsPanel) accountsPanel.style.display = 'none';
         if (logoutOption) logoutOption.style.display = 'none';
         if (loginOption) loginOption.style.display = 'flex';
     }
 }
 
+// ===== SOURCES PANEL =====
+
+let userSources = [];
+const syncingSourceIds = new Set();
+
+async function loadSources() {
+    const sourcesList = document.querySelector('[data-sources-list]');
+    if (!sourcesList || !isAuthenticated()) return;
+
+    if (userSources.length === 0) {
+        sourcesList.innerHTML = '<li class="sources-empty">Loading sources...</li>';
+    }
+
+    try {
+        const response = await primitiv.sync.listSources();
+        userSources = response.data?.sources || [];
+        renderSources();
+    } catch (error) {
+        console.error('Failed to load sources:', error);
+        if (userSources.length === 0) {
+            sourcesList.innerHTML = '<li class="sources-empty">Couldn\'t load sources.</li>';
+        }
+    }
+}
+
+function renderSources() {
+    const sourcesList = document.querySelector('[data-sources-list]');
+    if (!sourcesList) return;
+
+    if (userSources.length === 0) {
+        sourcesList.innerHTML = '<li class="sources-empty">No connected sources. Add one in Manage integrations.</li>';
+        return;
+    }
+
+    sourcesList.innerHTML = userSources.map(source => {
+        const isPaused = !!source.ingestion_paused;
+        const hasError = source.status === 'error';
+        const isSyncing = syncingSourceIds.has(source.id);
+
+        let status;
+        if (isSyncing) {
+            status = 'Syncing...';
+        } else if (hasError) {
+            status = source.last_error || 'Sync failed';
+        } else if (isPaused) {
+            status = 'Paused';
+        } else {
+            status = formatLastSynced(source.last_synced_at);
+        }
+
+        const classes = ['source-row', hasError ? 'error' : '', isPaused ? 'paused' : ''].filter(Boolean).join(' ');
+
+        return `
+            <li class="${classes}" data-source-id="${escapeHtml(source.id)}">
+                <div class="source-icon">${getSourceIcon(source.type)}</div>
+                <div class="source-info">
+                    <span class="source-name">${escapeHtml(source.name || source.type)}</span>
+                    <span class="source-status" title="${escapeHtml(status)}">${escapeHtml(status)}</span>
+                </div>
+                <button class="source-action" data-source-action="sync" ${isSyncing || isPaused ? 'disabled' : ''}>Sync now</button>
+                <button class="source-action" data-source-action="${isPaused ? 'resume' : 'pause'}" ${isSyncing ? 'disabled' : ''}>${isPaused ? 'Resume' : 'Pause'}</button>
+            </li>
+        `;
+    }).join('');
+}
+
+function getSourceIcon(type) {
+    const source = (type || '').toLowerCase();
+
+    if (source.includes('slack')) {
+        return '<img src="imgs/sources/slack.svg" alt="Slack" />';
+    } else if (source.includes('gmail')) {
+        return '<img src="imgs/sources/gmail.svg" alt="Gmail" />';
+    } else if (source.includes('calendar')) {
+        return '<img src="imgs/sources/calendar.svg" alt="Calendar" />';
+    }
+    return '<img src="imgs/sources/primitiv.svg" alt="Primitiv" />';
+}
+
+function formatLastSynced(timestamp) {
+    if (!timestamp) return 'Not synced yet';
+
+    const minutesAgo = Math.floor((Date.now() - new Date(timestamp).getTime()) / 60000);
+    if (minutesAgo < 1) return 'Synced just now';
+    if (minutesAgo < 60) return `Synced ${minutesAgo} min ago`;
+
+    const hoursAgo = Math.floor(minutesAgo / 60);
+    if (hoursAgo < 24) return `Synced ${hoursAgo} h ago`;
+
+    return `Synced ${new Date(timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' })}`;
+}
+
+async function syncSource(sourceId) {
+    if (syncingSourceIds.has(sourceId)) return;
+
+    syncingSourceIds.add(sourceId);
+    renderSources();
+
+    try {
+        const response = await primitiv.sync.syncSource(sourceId);
+        const jobs = response.jobs || [];
+        if (jobs.length > 0) {
+            await primitiv.sync.waitForJobs(jobs);
+        }
+
+        const activeFilter = document.querySelector('.filter-btn.active');
+        await loadTasks(activeFilter ? activeFilter.dataset.filter : 'pending');
+    } catch (error) {
+        console.error('Source sync failed:', error);
+    } finally {
+        syncingSourceIds.delete(sourceId);
+        await loadSources();
+    }
+}
+
+async function setSourcePaused(sourceId, paused) {
+    try {
+        await primitiv.sync.setSourcePaused(sourceId, paused);
+    } catch (error) {
+        console.error(`Failed to ${paused ? 'pause' : 'resume'} source:`, error);
+        alert(`Failed to ${paused ? 'pause' : 'resume'} this source. Please try again.`);
+    }
+    await loadSources();
+}
+
+function setupSourcesPanel() {
+    const sourcesList = document.querySelector('[data-sources-list]');
+    if (!sourcesList) return;
+
+    sourcesList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-source-action]');
+        if (!button) return;
+
+        // Rows re-render on click, so keep the outside-click handler from closing settings
+        e.stopPropagation();
+
+        const sourceId = button.closest('[data-source-id]').dataset.sourceId;
+        const action = button.dataset.sourceAction;
+
+        if (action === 'sync') {
+            syncSource(sourceId);
+        } else {
+            setSourcePaused(sourceId, action === 'pause');
+        }
+    });
+}
+
+// ===== KEYBOARD SHORTCUTS PANEL =====
+
+let shortcuts = [];
+// Action whose new key combination is being recorded
+let recordingShortcut = null;
+
+function formatAccelerator(accelerator) {
+    if (!accelerator) return 'Not set';
+    const isMac = navigator.platform.startsWith('Mac');
+    return accelerator.replace(/CommandOrControl|CmdOrCtrl/g, isMac ? 'Cmd' : 'Ctrl');
+}
+
+function describeShortcutError(shortcut) {
+    if (shortcut.error === 'in-use') return 'Already used by another app';
+    if (shortcut.error === 'invalid') return 'Not a valid shortcut';
+    if (shortcut.error === 'duplicate') {
+        const other = shortcuts.find(s => s.action === shortcut.conflictsWith);
+        return `Same keys as "${other ? other.label : shortcut.conflictsWith}"`;
+    }
+    return '';
+}
+
+function renderShortcuts() {
+    const shortcutsList = document.querySelector('[data-shortcuts-list]');
+    if (!shortcutsList) return;
+
+    shortcutsList.innerHTML = shortcuts.map(shortcut => {
+        const isRecording = recordingShortcut === shortcut.action;
+        const error = describeShortcutError(shortcut);
+        const classes = ['shortcut-row', isRecording ? 'recording' : '', error ? 'conflict' : ''].filter(Boolean).join(' ');
+
+        return `
+            <li class="${classes}" data-shortcut-action="${escapeHtml(shortcut.action)}">
+                <span class="shortcut-label">${escapeHtml(shortcut.label)}</span>
+                <button class="shortcut-key" data-shortcut-record>${isRecording ? 'Press keys...' : escapeHtml(formatAccelerator(shortcut.accelerator))}</button>
+                ${error ? `<span class="shortcut-error">${escapeHtml(error)}</span>` : ''}
+            </li>
+        `;
+    }).join('');
+}
+
+async function loadShortcuts() {
+    try {
+        shortcuts = await primitiv.shortcuts.get();
+        renderShortcuts();
+    } catch (error) {
+        console.error('Failed to load shortcuts:', error);
+    }
+}
+
+// Electron accelerator for a key press, or null for keys that can't (or shouldn't) be global shortcuts
+function acceleratorFromKeyEvent(e) {
+    const isMac = navigator.platform.startsWith('Mac');
+
+    let key = null;
+    if (/^Key[A-Z]$/.test(e.code)) {
+        key = e.code.slice(3);
+    } else if (/^Digit[0-9]$/.test(e.code)) {
+        key = e.code.slice(5);
+    } else if (/^F([1-9]|1[0-9]|2[0-4])$/.test(e.code)) {
+        key = e.code;
+    } else if (e.code.startsWith('Arrow')) {
+        key = e.code.slice(5);
+    } else if (['Space', 'Enter', 'Tab', 'Home', 'End', 'PageUp', 'PageDown', 'Insert'].includes(e.code)) {
+        key = e.code;
+    }
+    if (!key) return null;
+
+    const modifiers = [];
+    if (isMac ? e.metaKey : e.ctrlKey) modifiers.push('CommandOrControl');
+    if (isMac && e.ctrlKey) modifiers.push('Control');
+    if (!isMac && e.metaKey) modifiers.push('Super');
+    if (e.altKey) modifiers.push('Alt');
+    if (e.shiftKey) modifiers.push('Shift');
+
+    // Without a modifier the key would stop working in every other app
+    if (modifiers.length === 0 && !/^F\d+$/.test(key)) return null;
+    return [...modifiers, key].join('+');
+}
+
+async function startRecordingShortcut(action) {
+    recordingShortcut = action;
+    renderShortcuts();
+    // Pressing a current binding while recording must not run it
+    await primitiv.shortcuts.setPaused(true);
+}
+
+async function finishRecordingShortcut(accelerator) {
+    const action = recordingShortcut;
+    if (!action) return;
+    recordingShortcut = null;
+
+    try {
+        if (accelerator !== undefined) {
+            await primitiv.shortcuts.set(action, accelerator);
+        }
+        shortcuts = await primitiv.shortcuts.setPaused(false);
+    } catch (error) {
+        console.error('Failed to save shortcut:', error);
+    }
+    renderShortcuts();
+}
+
+function setupShortcutsPanel() {
+    const shortcutsList = document.querySelector('[data-shortcuts-list]');
+    const resetButton = document.querySelector('[data-shortcuts-reset]');
+
+    primitiv.shortcuts.onChanged(list => {
+        shortcuts = list;
+        renderShortcuts();
+    });
+
+    if (shortcutsList) {
+        shortcutsList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-shortcut-record]');
+            if (!button) return;
+
+            // Rows re-render on click, so keep the outside-click handler from closing settings
+            e.stopPropagation();
+            startRecordingShortcut(button.closest('[data-shortcut-action]').dataset.shortcutAction);
+        });
+    }
+
+    if (resetButton) {
+        resetButton.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            shortcuts = await primitiv.shortcuts.reset();
+            renderShortcuts();
+        });
+    }
+
+    // Capture phase, so Escape cancels the recording instead of hiding the window
+    window.addEventListener('keydown', (e) => {
+        if (!recordingShortcut) return;
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        if (e.key === 'Escape') {
+            finishRecordingShortcut();
+        } else if (e.key === 'Backspace' || e.key === 'Delete') {
+            finishRecordingShortcut('');
+        } else {
+            const accelerator = acceleratorFromKeyEvent(e);
+            if (accelerator) {
+                finishRecordingShortcut(accelerator);
+            }
+        }
+    }, true);
+
+    window.addEventListener('blur', () => finishRecordingShortcut());
+
+    loadShortcuts();
+}
+
+// ===== QUIET HOURS PANEL =====
+
+let quietHoursState = { schedules: [], active: false, schedule: null, nextTransition: null };
+// Schedule being edited in the form (null: adding a new one)
+let editingScheduleId = null;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function formatScheduleDays(days) {
+    const key = [...days].sort().join(',');
+    if (key === '0,1,2,3,4,5,6') return 'Every day';
+    if (key === '1,2,3,4,5') return 'Weekdays';
+    if (key === '0,6') return 'Weekends';
+    // Monday first
+    return [...days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7)).map(day => DAY_NAMES[day]).join(', ');
+}
+
+// "18:00", or "Mon 18:00" when it's not today
+function formatTransitionTime(timestamp) {
+    const date = new Date(timestamp);
+    const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    return date.toDateString() === new Date().toDateString() ? time : `${DAY_NAMES[date.getDay()]} ${time}`;
+}
+
+function renderQuietHours() {
+    const list = document.querySelector('[data-quiet-hours-list]');
+    const status = document.querySelector('[data-quiet-hours-status]');
+    const { schedules, active, schedule: activeSchedule, nextTransition } = quietHoursState;
+
+    if (list) {
+        list.innerHTML = schedules.map(schedule => {
+            const classes = ['quiet-hours-row',
+                schedule.enabled ? '' : 'disabled',
+                active && activeSchedule?.id === schedule.id ? 'active' : ''].filter(Boolean).join(' ');
+
+            return `
+                <li class="${classes}" data-schedule-id="${escapeHtml(schedule.id)}">
+                    <div class="quiet-hours-info">
+                        <span class="quiet-hours-label">${escapeHtml(schedule.label)}</span>
+                        <span class="quiet-hours-when">${escapeHtml(formatScheduleDays(schedule.days))} ${escapeHtml(schedule.start)}–${escapeHtml(schedule.end)}</span>
+                    </div>
+                    <button class="source-action" data-quiet-hours-toggle>${schedule.enabled ? 'On' : 'Off'}</button>
+                    <button class="source-action" data-quiet-hours-edit>Edit</button>
+                    <button class="source-action" data-quiet-hours-remove>Remove</button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    if (status) {
+        if (active) {
+            status.textContent = nextTransition
+                ? `Quiet until ${formatTransitionTime(nextTransition.at)}. The widget is dimmed, notices wait and opening the panel doesn't sync.`
+                : 'Quiet hours are on.';
+        } else if (nextTransition) {
+            status.textContent = `Next quiet hours start ${formatTransitionTime(nextTransition.at)}.`;
+        } else {
+            status.textContent = 'Dim the widget, hold notices and skip syncing on a schedule.';
+        }
+    }
+}
+
+function openQuietHoursForm(schedule = null) {
+    const form = document.querySelector('[data-quiet-hours-form]');
+    const error = document.querySelector('[data-quiet-hours-error]');
+    if (!form) return;
+
+    editingScheduleId = schedule ? schedule.id : null;
+    form.elements.label.value = schedule ? schedule.label : '';
+    form.elements.start.value = schedule ? schedule.start : '18:00';
+    form.elements.end.value = schedule ? schedule.end : '09:00';
+    form.querySelectorAll('input[name="days"]').forEach(input => {
+        const day = Number(input.value);
+        input.checked = schedule ? schedule.days.includes(day) : day >= 1 && day <= 5;
+    });
+    if (error) error.textContent = '';
+
+    form.hidden = false;
+    form.elements.label.focus();
+}
+
+function closeQuietHoursForm() {
+    const form = document.querySelector('[data-quiet-hours-form]');
+    if (form) form.hidden = true;
+    editingScheduleId = null;
+}
+
+async function saveQuietHoursSchedule(changes) {
+    const state = await primitiv.quietHours.save(changes);
+    quietHoursState = state;
+    renderQuietHours();
+    return state.error || null;
+}
+
+function setupQuietHoursPanel() {
+    const addButton = document.querySelector('[data-quiet-hours-add]');
+    const list = document.querySelector('[data-quiet-hours-list]');
+    const form = document.querySelector('[data-quiet-hours-form]');
+    const cancelButton = document.querySelector('[data-quiet-hours-cancel]');
+
+    primitiv.quietHours.onChanged(state => {
+        quietHoursState = state;
+        renderQuietHours();
+    });
+
+    if (addButton) {
+        addButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openQuietHoursForm();
+        });
+    }
+
+    if (cancelButton) {
+        cancelButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeQuietHoursForm();
+        });
+    }
+
+    if (list) {
+        list.addEventListener('click', async (e) => {
+            const button = e.target.closest('button');
+            if (!button) return;
+
+            // Rows re-render on click, so keep the outside-click handler from closing settings
+            e.stopPropagation();
+            const scheduleId = button.closest('[data-schedule-id]').dataset.scheduleId;
+            const schedule = quietHoursState.schedules.find(item => item.id === scheduleId);
+            if (!schedule) return;
+
+            if (button.matches('[data-quiet-hours-toggle]')) {
+                await saveQuietHoursSchedule({ ...schedule, enabled: !schedule.enabled });
+            } else if (button.matches('[data-quiet-hours-edit]')) {
+                openQuietHoursForm(schedule);
+            } else if (button.matches('[data-quiet-hours-remove]')) {
+                if (editingScheduleId === scheduleId) closeQuietHoursForm();
+                quietHoursState = await primitiv.quietHours.remove(scheduleId);
+                renderQuietHours();
+            }
+        });
+    }
+
+    if (form) {
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const existing = quietHoursState.schedules.find(item => item.id === editingScheduleId);
+
+            const error = await saveQuietHoursSchedule({
+                id: editingScheduleId || undefined,
+                label: form.elements.label.value,
+                start: form.elements.start.value,
+                end: form.elements.end.value,
+                days: Array.from(form.querySelectorAll('input[name="days"]:checked')).map(input => Number(input.value)),
+                enabled: existing ? existing.enabled : true
+            });
+
+            const errorText = document.querySelector('[data-quiet-hours-error]');
+            if (error) {
+                if (errorText) errorText.textContent = error;
+            } else {
+                closeQuietHoursForm();
+            }
+        });
+    }
+
+    primitiv.quietHours.get()
+        .then(state => {
+            quietHoursState = state;
+            renderQuietHours();
+        })
+        .catch(error => console.error('Failed to load quiet hours:', error));
+}
+
+// ===== WIDGET PLACEMENT AND VISIBILITY =====
+
+let layout = { dock: null, autoHide: false, visibility: 'normal', pinPanel: false };
+
+function describeDock(dock) {
+    if (!dock) return null;
+    return dock.includes('-') ? `${dock.replace('-', ' ')} corner` : `${dock} edge`;
+}
+
+function renderLayout() {
+    const toggle = document.querySelector('[data-auto-hide-toggle]');
+    const status = document.querySelector('[data-dock-status]');
+    const pinToggle = document.querySelector('[data-pin-panel-toggle]');
+    const dock = describeDock(layout.dock);
+
+    document.querySelectorAll('[data-visibility]').forEach(button => {
+        button.classList.toggle('active', button.dataset.visibility === layout.visibility);
+    });
+    if (pinToggle) {
+        pinToggle.textContent = layout.pinPanel ? 'On' : 'Off';
+    }
+
+    if (toggle) {
+        toggle.textContent = layout.autoHide ? 'On' : 'Off';
+    }
+    if (status) {
+        if (!dock) {
+            status.textContent = 'Drag the widget to a screen edge or corner to dock it there.';
+        } else if (layout.autoHide) {
+            status.textContent = `Docked to the ${dock}. The widget slides out of view until you point at it.`;
+        } else {
+            status.textContent = `Docked to the ${dock}. Turn on to slide the widget out of view until you point at it.`;
+        }
+    }
+}
+
+function setupLayoutPanel() {
+    const toggle = document.querySelector('[data-auto-hide-toggle]');
+    const pinToggle = document.querySelector('[data-pin-panel-toggle]');
+    const visibilityOptions = document.querySelector('[data-visibility-options]');
+
+    primitiv.layout.onChanged(state => {
+        layout = state;
+        renderLayout();
+    });
+
+    if (toggle) {
+        toggle.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            layout = await primitiv.layout.set({ autoHide: !layout.autoHide });
+            renderLayout();
+        });
+    }
+
+    if (pinToggle) {
+        pinToggle.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            layout = await primitiv.layout.set({ pinPanel: !layout.pinPanel });
+            renderLayout();
+        });
+    }
+
+    if (visibilityOptions) {
+        visibilityOptions.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-visibility]');
+            if (!button) return;
+
+            e.stopPropagation();
+            layout = await primitiv.layout.set({ visibility: button.dataset.visibility });
+            renderLayout();
+        });
+    }
+
+    primitiv.layout.get()
+        .then(state => {
+            layout = state;
+            renderLayout();
+        })
+        .catch(error => console.error('Failed to load widget placement:', error));
+}
+
+// ===== ACCOUNTS PANEL =====
+
+function renderAccounts() {
+    const accountsList = document.querySelector('[data-accounts-list]');
+    if (!accountsList) return;
+
+    accountsList.innerHTML = currentAccounts.map(account => {
+        const user = account.user || {};
+        const name = user.name || user.email || 'Primitiv account';
+
+        return `
+            <li class="account-row${account.active ? ' active' : ''}" data-account-id="${escapeHtml(account.id)}" title="${account.active ? 'Active account' : 'Switch to this account'}">
+                <div class="account-avatar">${escapeHtml(account.initials)}</div>
+                <div class="account-info">
+                    <span class="account-name">${escapeHtml(name)}</span>
+                    <span class="account-email">${escapeHtml(user.email && user.email !== name ? user.email : (account.active ? 'Active' : ''))}</span>
+                </div>
+                <button class="source-action" data-account-action="logout">Sign out</button>
+            </li>
+        `;
+    }).join('');
+}
+
+async function switchAccount(accountId) {
+    try {
+        await primitiv.auth.switchAccount(accountId);
+    } catch (error) {
+        console.error('Failed to switch account:', error);
+        alert('Failed to switch account. Please try again.');
+    }
+}
+
+async function signOutAccount(accountId) {
+    try {
+        await primitiv.auth.logout(accountId);
+    } catch (error) {
+        console.error('Failed to sign out account:', error);
+        alert('Failed to sign out. Please try again.');
+    }
+}
+
+function setupAccountsPanel() {
+    const accountsList = document.querySelector('[data-accounts-list]');
+    const addAccountButton = document.querySelector('[data-add-account]');
+
+    if (accountsList) {
+        accountsList.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-account-id]');
+            if (!row) return;
+
+            // Rows re-render on click, so keep the outside-click handler from closing settings
+            e.stopPropagation();
+
+            const accountId = row.dataset.accountId;
+            if (e.target.closest('[data-account-action="logout"]')) {
+                signOutAccount(accountId);
+            } else if (accountId !== currentAccountId) {
+                switchAccount(accountId);
+            }
+        });
+    }
+
+    if (addAccountButton) {
+        addAccountButton.addEventListener('click', () => {
+            console.log('Add account clicked');
+            hideSettings();
+            primitiv.auth.login();
+        });
+    }
+}
+
 function setupSettingsClickHandlers() {
     const integrationsOption = document.querySelector('[data-integrations]');
     const exitOption = document.querySelector('[data-exit]');
@@ -2246,8 +3330,7 @@ function setupSettingsClickHandlers() {
     if (integrationsOption) {
         integrationsOption.addEventListener('click', () => {
             console.log('Manage integrations clicked');
-            const { shell } = require('electron');
-            shell.openExternal('https://primitiv.tools/dashboard');
+            primitiv.window.openDashboard();
             hideSettings();
         });
     }
@@ -2255,7 +3338,7 @@ function setupSettingsClickHandlers() {
     if (exitOption) {
         exitOption.addEventListener('click', () => {
             console.log('Exit clicked');
-            ipcRenderer.send('exit-app');
+            primitiv.window.exitApp();
         });
     }
 
@@ -2264,10 +3347,8 @@ function setupSettingsClickHandlers() {
             console.log('Logout clicked');
 
             try {
-                if (authService) {
-                    await authService.logout();
-                    hideSettings();
-                }
+                await primitiv.auth.logout();
+                hideSettings();
             } catch (error) {
                 console.error('Logout failed:', error);
                 alert('Failed to log out. Please try again.');
@@ -2279,9 +3360,7 @@ function setupSettingsClickHandlers() {
         loginOption.addEventListener('click', () => {
             console.log('Login clicked');
             hideSettings();
-            if (authService) {
-                authService.login();
-            }
+            primitiv.auth.login();
         });
     }
 
@@ -2291,7 +3370,7 @@ function setupSettingsClickHandlers() {
 
             if (isSleeping) {
                 console.log('Waking up from sleep');
-                ipcRenderer.send('wake-up');
+                primitiv.sleep.wake();
                 hideSettings();
             } else {
                 showSleepModal();
@@ -2366,6 +3445,11 @@ function setupSleepModal() {
         minutesInput.addEventListener('input', validateSleepTime);
     }
 
+    // Sleep carries on across restarts
+    primitiv.sleep.getState()
+        .then(state => updateSleepStatus(state.sleeping ? state.wakeAt : null))
+        .catch(error => console.error('Failed to load sleep state:', error));
+
     document.addEventListener('keydown', (e) => {
         if (modal && modal.style.display === 'flex') {
             if (e.key === 'Escape') {
@@ -2422,31 +3506,42 @@ function startSleepMode() {
         toggleText.textContent = 'Wake up';
     }
 
-    ipcRenderer.send('start-sleep-mode', hours, minutes);
+    primitiv.sleep.start(hours, minutes);
     hideSleepModal();
     hideSettings();
 }
 
-// Listen for sleep timer updates
-ipcRenderer.on('update-sleep-timer', (event, hours, minutes) => {
+// Show whether Primitiv is asleep and until when (wakeAt: ms since epoch, or null when awake)
+function updateSleepStatus(wakeAt) {
     const sleepToggle = document.querySelector('[data-sleep-toggle]');
     const toggleText = sleepToggle?.querySelector('.toggle-text');
+    const status = document.querySelector('[data-sleep-status]');
+
+    isSleeping = !!wakeAt;
 
     if (toggleText) {
-        toggleText.textContent = 'Wake up';
+        toggleText.textContent = wakeAt ? 'Wake up' : '00:00';
     }
-});
 
-// Listen for sleep mode end
-ipcRenderer.on('sleep-mode-ended', (event) => {
-    const sleepToggle = document.querySelector('[data-sleep-toggle]');
-    const toggleText = sleepToggle?.querySelector('.toggle-text');
+    if (status) {
+        if (wakeAt) {
+            const remaining = Math.max(0, Math.ceil((wakeAt - Date.now()) / 60000));
+            const until = new Date(wakeAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            status.textContent = `Asleep until ${until} (${Math.floor(remaining / 60)}:${(remaining % 60).toString().padStart(2, '0')} left).`;
+        } else {
+            status.textContent = 'Put Primitiv into sleep mode for a set duration, and it will automatically wake up.';
+        }
+    }
+}
 
-    isSleeping = false;
+// Listen for sleep timer updates (also sent for sleep started from the tray or a shortcut)
+primitiv.sleep.onTimer((hours, minutes, wakeAt) => {
+    updateSleepStatus(wakeAt);
+});
 
-    if (toggleText) {
-        toggleText.textContent = '00:00';
-    }
+// Listen for sleep mode end
+primitiv.sleep.onEnded(() => {
+    updateSleepStatus(null);
 });
 
 // Expose settings functions globally for widget.js to call
@@ -2454,7 +3549,7 @@ window.showSettings = showSettings;
 window.toggleSettings = toggleSettings;
 
 // Listen for IPC to show main window with specific view
-ipcRenderer.on('show-main-window-with-view', (event, view) => {
+primitiv.window.onShowView((view) => {
     console.log('Showing main window with view:', view);
     if (view === 'settings') {
         showSettings();
@@ -2463,12 +3558,22 @@ ipcRenderer.on('show-main-window-with-view', (event, view) => {
     }
 });
 
+// Opened from the tray menu; the widget has already brought up the task panel
+primitiv.window.onShowTaskDetail((taskId) => {
+    console.log('Showing task detail:', taskId);
+    hideSettings();
+    showTaskDetail(taskId);
+});
+
 // Listen for IPC to switch view in main window
-ipcRenderer.on('switch-main-window-view', (event, view) => {
+primitiv.window.onSwitchView((view) => {
     console.log('Switching main window to view:', view);
     if (view === 'settings') {
         showSettings();
     } else {
         hideSettings(); // Show tasks
+        if (view === 'new-task' && isAuthenticated()) {
+            openNewTaskView();
+        }
     }
 });
@@ -0,0 +1,863 @@
+/**
+ * Mock Backend for Desktop App
+ * In-process HTTP server implementing the endpoints apiClient.js and auth.js call,
+ * seeded with fixture tasks. Started by `--mock-backend` for development and testing.
+ *
+ * Failures can be scripted at runtime through the control endpoints:
+ *   POST   /__mock/failures       add a rule, e.g. { "path": "/api/tasks", "status": 429, "times": 2, "retryAfter": 3 }
+ *                                 ("status": "network" drops the connection, "delayMs" slows the response,
+ *                                 "path": "/__jobs" fails the next sync jobs)
+ *   DELETE /__mock/failures       clear all rules
+ *   POST   /__mock/revoke-tokens  invalidate every access token issued so far (refresh tokens keep working)
+ *   POST   /__mock/reset          reseed fixtures and clear rules
+ *   POST   /__mock/push-task      create a task as if ingested from a source, e.g. { "title": "...", "source": "slack" }
+ *   POST   /__mock/drop-events    close open task event streams (clients should reconnect)
+ *   GET    /__mock/state          inspect tasks and rules
+ * or at startup with PRIMITIV_MOCK_FAILURES='[{ ...rule }]'.
+ *
+ * Access tokens are unsigned JWTs that expire after PRIMITIV_MOCK_TOKEN_TTL seconds (default 3600).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const MOCK_USER = {
+    id: 'mock-user-1',
+    name: 'Morgan Mock',
+    email: 'morgan@example.com'
+};
+
+const FIXTURE_TASKS = [
+    {
+        id: 'task-1',
+        title: 'Reply to Dana about the Q3 roadmap review',
+        description: 'Dana asked in #product for feedback on the roadmap draft before Thursday.',
+        source: 'slack',
+        participants: ['Dana Reyes <dana@example.com>', 'Me'],
+        reach: 6, impact: 8, confidence: 0.9, urgency: 1.2,
+        ai_suggestions: ['Skim the roadmap doc and leave comments', 'Reply in thread with a time to discuss'],
+        is_enhanced: true
+    },
+    {
+        id: 'task-2',
+        title: 'Send signed contract back to Northwind',
+        description: 'Legal approved the redlines; the contract needs a signature and a reply.',
+        source: 'gmail',
+        participants: [{ role: 'from', email: 'sam.lee@northwind.example', name: 'Sam Lee' }],
+        reach: 4, impact: 9, confidence: 1, urgency: 1,
+        ai_suggestions: [{ suggestion: 'Sign the PDF and reply to Sam', rating: 'good' }],
+        is_enhanced: true
+    },
+    {
+        id: 'task-3',
+        title: 'Prepare slides for Monday design sync',
+        description: '',
+        source: 'calendar',
+        participants: ['design-team@example.com'],
+        reach: 5, impact: 5, confidence: 0.8, urgency: 1,
+        ai_suggestions: [],
+        is_enhanced: false
+    },
+    {
+        id: 'task-4',
+        title: 'Book flights for the offsite',
+        description: 'Offsite is in Lisbon, second week of next month.',
+        source: 'manual',
+        participants: ['Me'],
+        reach: 1, impact: 4, confidence: 1, urgency: 1,
+        ai_suggestions: ['Compare fares for Tuesday vs Wednesday departure'],
+        is_enhanced: true
+    },
+    {
+        id: 'task-5',
+        title: 'Review PR #482 (billing retries)',
+        description: 'Requested by Alex in #eng-payments.',
+        source: 'slack',
+        participants: ['Alex Kim <alex@example.com>'],
+        reach: 3, impact: 6, confidence: 0.7, urgency: 1.5,
+        ai_suggestions: [],
+        is_enhanced: false
+    },
+    {
+        id: 'task-6',
+        title: 'Follow up with recruiter on candidate feedback',
+        description: '',
+        source: 'gmail',
+        participants: ['Jordan Fox <jordan@example.com>'],
+        reach: 2, impact: 3, confidence: 0.9, urgency: 1,
+        ai_suggestions: [],
+        is_enhanced: false
+    },
+    {
+        id: 'task-7',
+        title: 'Submit expense report for September',
+        description: '',
+        source: 'manual',
+        status: 'completed',
+        participants: ['Me'],
+        reach: 1, impact: 2, confidence: 1, urgency: 1,
+        ai_suggestions: [],
+        is_enhanced: false
+    },
+    {
+        id: 'task-8',
+        title: 'Share meeting notes from customer call',
+        description: 'Notes are in the shared drive.',
+        source: 'calendar',
+        status: 'completed',
+        participants: ['Priya Shah <priya@example.com>'],
+        reach: 3, impact: 3, confidence: 1, urgency: 1,
+        ai_suggestions: [],
+        is_enhanced: true
+    }
+];
+
+const FIXTURE_SOURCES = [
+    { id: 'source-slack', type: 'slack', name: 'Slack · Acme Inc.' },
+    { id: 'source-gmail', type: 'gmail', name: 'Gmail · morgan@example.com' },
+    { id: 'source-calendar', type: 'calendar', name: 'Google Calendar' }
+];
+
+// Rough stand-in for the backend's RICU score, clamped to the range the UI expects
+function calculateRicu(task) {
+    const score = (task.reach || 1) * (task.impact || 1) * (task.confidence || 1) * (task.urgency || 1);
+    return Math.round(Math.min(50, Math.max(0.51, score)) * 100) / 100;
+}
+
+class MockBackend {
+    /**
+     * @param {{ onLogin?: Function }} options - onLogin(deepLink) is called when the mock login page is visited
+     */
+    constructor(options = {}) {
+        this.onLogin = options.onLogin || null;
+        this.server = null;
+        this.url = null;
+        this.routes = this.buildRoutes();
+        this.eventClients = new Set();
+        this.nextEventId = 1;
+        this.reset();
+    }
+
+    /**
+     * Reseed fixtures and clear failure rules
+     */
+    reset() {
+        const now = Date.now();
+
+        this.tasks = FIXTURE_TASKS.map((task, index) => ({
+            status: 'pending',
+            due_date: null,
+            ...task,
+            task: task.title,
+            ricu: calculateRicu(task),
+            created_at: new Date(now - (index + 1) * 3600 * 1000).toISOString()
+        }));
+        this.sources = FIXTURE_SOURCES.map(source => ({
+            ...source,
+            status: 'connected',
+            last_error: null,
+            ingestion_paused: false,
+            last_synced_at: new Date(now - 20 * 60 * 1000).toISOString()
+        }));
+        this.failureRules = [];
+        this.idempotentResponses = new Map();
+        this.jobs = new Map();
+        this.taskEvents = [];
+        this.accessTokensRevokedAt = 0;
+        this.authCodes = new Map();
+        this.deviceCodes = new Map();
+        this.nextTaskNumber = this.tasks.length + 1;
+
+        // PRIMITIV_MOCK_TASKS=<n> pads the list with generated tasks to exercise pagination
+        const extraTasks = Number(process.env.PRIMITIV_MOCK_TASKS) || 0;
+        for (let i = 0; i < extraTasks; i++) {
+            const task = {
+                id: `task-${this.nextTaskNumber++}`,
+                title: `Generated task ${i + 1}`,
+                description: '',
+                source: ['slack', 'gmail', 'calendar', 'manual'][i % 4],
+                status: 'pending',
+                participants: [],
+                due_date: null,
+                reach: 1 + (i % 5), impact: 1 + (i % 7), confidence: 0.8, urgency: 1,
+                ai_suggestions: [],
+                is_enhanced: false,
+                created_at: new Date(now - i * 60000).toISOString()
+            };
+            task.task = task.title;
+            task.ricu = calculateRicu(task);
+            this.tasks.push(task);
+        }
+    }
+
+    /**
+     * Start listening on 127.0.0.1
+     * @param {number} port - 0 picks a free port
+     * @returns {Promise<string>} the base URL
+     */
+    start(port = 0) {
+        const scripted = process.env.PRIMITIV_MOCK_FAILURES;
+        if (scripted) {
+            try {
+                JSON.parse(scripted).forEach(rule => this.addFailureRule(rule));
+            } catch (error) {
+                console.error('Invalid PRIMITIV_MOCK_FAILURES, ignoring:', error);
+            }
+        }
+
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => {
+                this.handleRequest(req, res).catch(error => {
+                    console.error('[Mock] Request handling failed:', error);
+                    this.sendJson(res, 500, { status: 'error', message: error.message });
+                });
+            });
+            this.server.once('error', reject);
+            this.server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.server.address().port}`;
+                console.log(`[Mock] Backend listening on ${this.url}`);
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop the server
+     */
+    stop() {
+        this.disconnectEventClients();
+        if (this.server) {
+            this.server.close();
+            this.server = null;
+        }
+    }
+
+    addFailureRule(rule) {
+        this.failureRules.push({
+            method: rule.method ? rule.method.toUpperCase() : null,
+            path: rule.path || '/',
+            status: rule.status ?? 500,
+            times: rule.times ?? Infinity,
+            delayMs: rule.delayMs || 0,
+            retryAfter: rule.retryAfter ?? null,
+            message: rule.message || null
+        });
+    }
+
+    // ===== REQUEST HANDLING =====
+
+    async handleRequest(req, res) {
+        const url = new URL(req.url, this.url);
+        const body = await this.readBody(req);
+        console.log(`[Mock] ${req.method} ${url.pathname}${url.search}`);
+
+        if (!url.pathname.startsWith('/__mock')) {
+            const handled = await this.applyFailureRules(req, res, url);
+            if (handled) return;
+        }
+
+        // Repeat the stored response for a POST retried with the same idempotency key
+        const idempotencyKey = req.headers['idempotency-key'];
+        if (req.method === 'POST' && idempotencyKey && this.idempotentResponses.has(idempotencyKey)) {
+            const stored = this.idempotentResponses.get(idempotencyKey);
+            this.sendJson(res, stored.status, stored.payload);
+            return;
+        }
+
+        for (const route of this.routes) {
+            if (route.method !== req.method) continue;
+            const match = url.pathname.match(route.pattern);
+            if (!match) continue;
+
+            if (route.auth !== false && !this.isAuthorized(req)) {
+                this.sendJson(res, 401, { status: 'error', message: 'Invalid or expired token' });
+                return;
+            }
+
+            const result = await route.handler({ req, res, url, body, params: match.slice(1) });
+            // Streaming handlers write the response themselves
+            if (!result) return;
+
+            const [status, payload, contentType] = result;
+            if (req.method === 'POST' && idempotencyKey && status < 500) {
+                this.idempotentResponses.set(idempotencyKey, { status, payload });
+            }
+
+            if (contentType === 'text/html') {
+                res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(payload);
+            } else {
+                this.sendJson(res, status, payload);
+            }
+            return;
+        }
+
+        this.sendJson(res, 404, { status: 'error', message: `No mock route for ${req.method} ${url.pathname}` });
+    }
+
+    async applyFailureRules(req, res, url) {
+        const rule = this.failureRules.find(r => (
+            r.times > 0 &&
+            (!r.method || r.method === req.method) &&
+            url.pathname.startsWith(r.path)
+        ));
+        if (!rule) return false;
+
+        rule.times--;
+
+        if (rule.delayMs) {
+            await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+        }
+
+        if (rule.status === 'network') {
+            req.socket.destroy();
+            return true;
+        }
+
+        // A pure delay rule lets the request through afterwards
+        if (!rule.status || rule.status < 400) return false;
+
+        const headers = { 'Content-Type': 'text/plain' };
+        if (rule.retryAfter != null) headers['Retry-After'] = String(rule.retryAfter);
+
+        if (rule.status === 429) {
+            res.writeHead(429, headers);
+            res.end(rule.message || 'Too many requests');
+        } else {
+            this.sendJson(res, rule.status, { status: 'error', message: rule.message || `Mock failure (${rule.status})` }, headers);
+        }
+        return true;
+    }
+
+    readBody(req) {
+        return new Promise((resolve) => {
+            let raw = '';
+            req.on('data', chunk => { raw += chunk; });
+            req.on('end', () => {
+                try {
+                    resolve(raw ? JSON.parse(raw) : {});
+                } catch (error) {
+                    resolve({});
+                }
+            });
+        });
+    }
+
+    sendJson(res, status, payload, headers = {}) {
+        if (res.headersSent) return;
+        res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(payload));
+    }
+
+    // ===== TOKENS =====
+
+    issueTokens() {
+        const issuedAt = Date.now();
+        return {
+            access_token: this.issueAccessToken(issuedAt),
+            refresh_token: `mock-refresh-${crypto.randomBytes(6).toString('hex')}-${issuedAt}`
+        };
+    }
+
+    // Unsigned JWT, so the app can read the expiry like it would from the real backend
+    issueAccessToken(issuedAt) {
+        const ttlSeconds = Number(process.env.PRIMITIV_MOCK_TOKEN_TTL) || 3600;
+        const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+        const payload = {
+            sub: MOCK_USER.id,
+            jti: crypto.randomBytes(6).toString('hex'),
+            iat: issuedAt / 1000,
+            exp: Math.floor(issuedAt / 1000) + ttlSeconds
+        };
+        return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.mock`;
+    }
+
+    // Tokens carry their issue time, so they stay valid across mock restarts until revoked
+    isValidToken(token, prefix, revokedAt = 0) {
+        if (!token || !token.startsWith(prefix)) return false;
+        const issuedAt = Number(token.split('-').pop());
+        return Number.isFinite(issuedAt) && issuedAt >= revokedAt;
+    }
+
+    isValidAccessToken(token) {
+        try {
+            const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+            return payload.iat * 1000 >= this.accessTokensRevokedAt && payload.exp * 1000 > Date.now();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    isAuthorized(req) {
+        const header = req.headers.authorization || '';
+        return this.isValidAccessToken(header.replace(/^Bearer\s+/i, ''));
+    }
+
+    // ===== ROUTES =====
+
+    buildRoutes() {
+        return [
+            // Control endpoints
+            { method: 'GET', pattern: /^\/__mock\/state$/, auth: false, handler: () => [200, { tasks: this.tasks, sources: this.sources, jobs: [...this.jobs.values()], failureRules: this.failureRules }] },
+            { method: 'POST', pattern: /^\/__mock\/failures$/, auth: false, handler: ({ body }) => { this.addFailureRule(body); return [200, { status: 'success', failureRules: this.failureRules }]; } },
+            { method: 'DELETE', pattern: /^\/__mock\/failures$/, auth: false, handler: () => { this.failureRules = []; return [200, { status: 'success' }]; } },
+            { method: 'POST', pattern: /^\/__mock\/revoke-tokens$/, auth: false, handler: () => { this.accessTokensRevokedAt = Date.now() + 1; return [200, { status: 'success' }]; } },
+            { method: 'POST', pattern: /^\/__mock\/reset$/, auth: false, handler: () => { this.reset(); return [200, { status: 'success' }]; } },
+            { method: 'POST', pattern: /^\/__mock\/push-task$/, auth: false, handler: (ctx) => this.handlePushTask(ctx) },
+            { method: 'POST', pattern: /^\/__mock\/drop-events$/, auth: false, handler: () => { this.disconnectEventClients(); return [200, { status: 'success' }]; } },
+
+            // Auth
+            { method: 'GET', pattern: /^\/login$/, auth: false, handler: (ctx) => this.handleLogin(ctx) },
+            { method: 'GET', pattern: /^\/device$/, auth: false, handler: (ctx) => this.handleDeviceApproval(ctx) },
+            { method: 'POST', pattern: /^\/api\/auth\/device\/code$/, auth: false, handler: () => this.handleDeviceCode() },
+            { method: 'GET', pattern: /^\/dashboard$/, auth: false, handler: () => [200, '<h1>Mock dashboard</h1><p>Nothing to manage here.</p>', 'text/html'] },
+            { method: 'GET', pattern: /^\/api\/auth\/status$/, handler: () => [200, { status: 'success', user: MOCK_USER }] },
+            { method: 'POST', pattern: /^\/api\/auth\/token$/, auth: false, handler: (ctx) => this.handleTokenExchange(ctx) },
+            { method: 'POST', pattern: /^\/api\/auth\/refresh$/, auth: false, handler: (ctx) => this.handleRefresh(ctx) },
+            { method: 'POST', pattern: /^\/api\/auth\/logout$/, handler: () => [200, { status: 'success' }] },
+
+            // Tasks
+            { method: 'GET', pattern: /^\/api\/tasks$/, handler: (ctx) => this.handleListTasks(ctx) },
+            { method: 'GET', pattern: /^\/api\/tasks\/events$/, handler: (ctx) => this.handleTaskEvents(ctx) },
+            { method: 'GET', pattern: /^\/api\/tasks\/([^/]+)$/, handler: (ctx) => this.withTask(ctx, task => [200, { status: 'success', data: { task } }]) },
+            { method: 'PATCH', pattern: /^\/api\/tasks\/([^/]+)$/, handler: (ctx) => this.handleUpdateTask(ctx) },
+            { method: 'DELETE', pattern: /^\/api\/tasks\/([^/]+)$/, handler: (ctx) => this.withTask(ctx, task => this.removeTask(task)) },
+            { method: 'POST', pattern: /^\/api\/tasks\/([^/]+)\/trash$/, handler: (ctx) => this.withTask(ctx, task => this.removeTask(task)) },
+            { method: 'POST', pattern: /^\/api\/ai\/tasks\/create-manual$/, handler: (ctx) => this.handleCreateTask(ctx) },
+            { method: 'POST', pattern: /^\/api\/ai\/tasks\/([^/]+)\/suggestions\/feedback$/, handler: (ctx) => this.handleSuggestionFeedback(ctx) },
+            { method: 'POST', pattern: /^\/api\/ai\/tasks\/([^/]+)\/enhance$/, handler: (ctx) => this.handleEnhanceTask(ctx) },
+
+            // Sync queues
+            { method: 'POST', pattern: /^\/api\/queues\/source-ingestion\/trigger-all$/, handler: (ctx) => this.handleTriggerSync(ctx) },
+            { method: 'POST', pattern: /^\/api\/queues\/ricu-recalculation\/trigger$/, handler: () => this.handleTriggerRicu() },
+            { method: 'GET', pattern: /^\/api\/queues\/jobs$/, handler: (ctx) => this.handleJobStatus(ctx) },
+
+            // User
+            { method: 'GET', pattern: /^\/api\/users\/profile$/, handler: () => [200, { status: 'success', data: { user: MOCK_USER } }] },
+            { method: 'GET', pattern: /^\/api\/users\/sources$/, handler: () => [200, { status: 'success', data: { sources: this.sources } }] },
+            { method: 'PATCH', pattern: /^\/api\/users\/sources\/([^/]+)$/, handler: (ctx) => this.handleUpdateSource(ctx) },
+            { method: 'POST', pattern: /^\/api\/users\/sources\/([^/]+)\/sync$/, handler: (ctx) => this.handleSyncSource(ctx) },
+            { method: 'GET', pattern: /^\/api\/health$/, auth: false, handler: () => [200, { status: 'success', data: { healthy: true, mock: true } }] }
+        ];
+    }
+
+    handleLogin({ url, res }) {
+        const state = url.searchParams.get('state');
+        const codeChallenge = url.searchParams.get('code_challenge');
+        if (!state || !codeChallenge || url.searchParams.get('code_challenge_method') !== 'S256') {
+            return [400, '<h1>Missing state or PKCE code challenge</h1>', 'text/html'];
+        }
+
+        // Loopback redirects are only allowed to 127.0.0.1, like a real OAuth server for native apps
+        const redirectUri = url.searchParams.get('redirect_uri');
+        if (redirectUri && !/^http:\/\/127\.0\.0\.1:\d+\//.test(redirectUri)) {
+            return [400, '<h1>Invalid redirect_uri</h1>', 'text/html'];
+        }
+
+        // One-time code, redeemable for a minute by whoever holds the PKCE verifier
+        const code = crypto.randomBytes(16).toString('hex');
+        this.authCodes.set(code, { codeChallenge, redirectUri, expiresAt: Date.now() + 60 * 1000 });
+
+        if (redirectUri) {
+            const location = new URL(redirectUri);
+            location.searchParams.set('code', code);
+            location.searchParams.set('state', state);
+            res.writeHead(302, { Location: location.toString() });
+            res.end();
+            return null;
+        }
+
+        const deepLink = `primitiv-desktop://auth-success?code=${code}&state=${encodeURIComponent(state)}`;
+
+        // The mock runs in-process, so hand the link straight to the app instead of relying on protocol registration
+        if (this.onLogin) {
+            this.onLogin(deepLink);
+        }
+
+        return [200, `<!DOCTYPE html><html><body style="font-family: sans-serif; padding: 40px;">
+            <h1>Signed in to the mock backend</h1>
+            <p>You are signed in as ${MOCK_USER.name}. You can return to Primitiv Desktop.</p>
+            <p><a href="${deepLink}">Open Primitiv Desktop</a></p>
+        </body></html>`, 'text/html'];
+    }
+
+    /**
+     * Start a device-code login; the code is approved by visiting /device
+     */
+    handleDeviceCode() {
+        const deviceCode = crypto.randomBytes(16).toString('hex');
+        // Unambiguous letters only, shown as XXXX-XXXX
+        const letters = 'BCDFGHJKLMNPQRSTVWXZ';
+        const chars = [...crypto.randomBytes(8)].map(byte => letters[byte % letters.length]);
+        const userCode = `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+
+        this.deviceCodes.set(deviceCode, { userCode, approved: false, expiresAt: Date.now() + 10 * 60 * 1000, lastPolledAt: 0 });
+        return [200, {
+            device_code: deviceCode,
+            user_code: userCode,
+            verification_uri: `${this.url}/device`,
+            verification_uri_complete: `${this.url}/device?user_code=${userCode}`,
+            expires_in: 600,
+            interval: 5
+        }];
+    }
+
+    handleDeviceApproval({ url }) {
+        const userCode = (url.searchParams.get('user_code') || '').trim().toUpperCase();
+        const grant = [...this.deviceCodes.values()].find(entry => entry.userCode === userCode && entry.expiresAt > Date.now());
+
+        if (!grant) {
+            return [200, `<!DOCTYPE html><html><body style="font-family: sans-serif; padding: 40px;">
+                <h1>Sign in to Primitiv Desktop</h1>
+                ${userCode ? '<p>That code is unknown or expired.</p>' : ''}
+                <form method="GET"><input name="user_code" placeholder="XXXX-XXXX" autofocus> <button>Approve</button></form>
+            </body></html>`, 'text/html'];
+        }
+
+        grant.approved = true;
+        return [200, `<!DOCTYPE html><html><body style="font-family: sans-serif; padding: 40px;">
+            <h1>Device approved</h1>
+            <p>Primitiv Desktop signs in as ${MOCK_USER.name} within a few seconds.</p>
+        </body></html>`, 'text/html'];
+    }
+
+    handleDeviceTokenPoll({ body }) {
+        const grant = this.deviceCodes.get(body.device_code);
+        if (!grant || grant.expiresAt < Date.now()) {
+            this.deviceCodes.delete(body.device_code);
+            return [400, { error: 'expired_token' }];
+        }
+
+        // Polling faster than the advertised interval
+        const now = Date.now();
+        const tooSoon = now - grant.lastPolledAt < 4000;
+        grant.lastPolledAt = now;
+        if (tooSoon) {
+            return [400, { error: 'slow_down' }];
+        }
+
+        if (!grant.approved) {
+            return [400, { error: 'authorization_pending' }];
+        }
+
+        this.deviceCodes.delete(body.device_code);
+        return [200, { status: 'success', tokens: this.issueTokens(), user: MOCK_USER }];
+    }
+
+    handleTokenExchange(ctx) {
+        const { body } = ctx;
+        if (body.grant_type === 'urn:ietf:params:oauth:grant-type:device_code') {
+            return this.handleDeviceTokenPoll(ctx);
+        }
+
+        const grant = this.authCodes.get(body.code);
+        // Codes are single-use, even when the verifier is wrong
+        this.authCodes.delete(body.code);
+
+        const challenge = crypto.createHash('sha256').update(String(body.code_verifier || '')).digest('base64url');
+        if (!grant || grant.expiresAt < Date.now() || challenge !== grant.codeChallenge ||
+            (grant.redirectUri && grant.redirectUri !== body.redirect_uri)) {
+            return [400, { status: 'error', message: 'Invalid or expired authorization code' }];
+        }
+        return [200, { status: 'success', tokens: this.issueTokens(), user: MOCK_USER }];
+    }
+
+    handleRefresh({ body }) {
+        if (!this.isValidToken(body.refreshToken, 'mock-refresh-')) {
+            return [401, { status: 'error', message: 'Invalid refresh token' }];
+        }
+        return [200, { status: 'success', tokens: this.issueTokens() }];
+    }
+
+    withTask({ params }, callback) {
+        const task = this.tasks.find(t => t.id === decodeURIComponent(params[0]) && t.status !== 'trashed');
+        if (!task) {
+            return [404, { status: 'error', message: 'Task not found' }];
+        }
+        return callback(task);
+    }
+
+    handleListTasks({ url }) {
+        const status = url.searchParams.get('status') || 'pending';
+        const limit = Number(url.searchParams.get('limit')) || 50;
+
+        // Cursors are opaque to the client; here they just encode the offset
+        const cursor = url.searchParams.get('cursor');
+        const offset = cursor ? Number(Buffer.from(cursor, 'base64url').toString()) || 0 : 0;
+
+        const matching = this.tasks
+            .filter(task => task.status === status)
+            .sort((a, b) => b.ricu - a.ricu);
+        const tasks = matching.slice(offset, offset + limit);
+        const nextOffset = offset + tasks.length;
+        const nextCursor = nextOffset < matching.length ? Buffer.from(String(nextOffset)).toString('base64url') : null;
+
+        return [200, { status: 'success', data: { tasks, nextCursor, total: matching.length } }];
+    }
+
+    handleUpdateTask(ctx) {
+        return this.withTask(ctx, (task) => {
+            const updates = { ...ctx.body };
+
+            // The backend stores notes as context_string; the client reads description
+            if (updates.context_string !== undefined) updates.description = updates.context_string;
+            if (updates.title !== undefined) updates.task = updates.title;
+
+            Object.assign(task, updates);
+            if (updates.ricu === undefined && (updates.impact !== undefined || updates.reach !== undefined)) {
+                task.ricu = calculateRicu(task);
+            }
+            task.updated_at = new Date().toISOString();
+            this.publishTaskEvent('task.updated', { task });
+
+            return [200, { status: 'success', data: { task } }];
+        });
+    }
+
+    removeTask(task) {
+        task.status = 'trashed';
+        this.publishTaskEvent('task.deleted', { id: task.id });
+        return [200, { status: 'success', data: { id: task.id } }];
+    }
+
+    handleCreateTask({ body }) {
+        if (!body.task) {
+            return [400, { status: 'error', message: 'Task text is required' }];
+        }
+
+        const task = {
+            id: `task-${this.nextTaskNumber++}`,
+            title: body.task,
+            task: body.task,
+            description: body.context_string || '',
+            source: 'manual',
+            status: 'pending',
+            participants: body.participants || ['Me'],
+            due_date: body.due_date || null,
+            reach: 2, impact: 5, confidence: 0.8, urgency: 1,
+            ai_suggestions: [`Block 30 minutes to work on "${body.task}"`],
+            is_enhanced: false,
+            created_at: new Date().toISOString()
+        };
+        task.ricu = calculateRicu(task);
+        this.tasks.push(task);
+        this.publishTaskEvent('task.created', { task });
+
+        return [201, { status: 'success', data: { task } }];
+    }
+
+    handlePushTask({ body }) {
+        const task = {
+            id: `task-${this.nextTaskNumber++}`,
+            title: body.title || 'New task from ingestion',
+            description: body.description || '',
+            source: body.source || 'slack',
+            status: 'pending',
+            participants: body.participants || [],
+            due_date: null,
+            reach: body.reach || 4, impact: body.impact || 6, confidence: 0.9, urgency: 1,
+            ai_suggestions: [],
+            is_enhanced: false,
+            created_at: new Date().toISOString()
+        };
+        task.task = task.title;
+        task.ricu = calculateRicu(task);
+        this.tasks.push(task);
+        this.publishTaskEvent('task.created', { task });
+
+        return [201, { status: 'success', data: { task } }];
+    }
+
+    handleSuggestionFeedback(ctx) {
+        return this.withTask(ctx, (task) => {
+            const index = ctx.body.suggestionIndex;
+            const suggestion = task.ai_suggestions[index];
+            if (suggestion === undefined) {
+                return [400, { status: 'error', message: 'Unknown suggestion' }];
+            }
+
+            const text = typeof suggestion === 'string' ? suggestion : suggestion.suggestion;
+            task.ai_suggestions[index] = { suggestion: text, rating: ctx.body.rating };
+            this.publishTaskEvent('task.updated', { task });
+            return [200, { status: 'success', data: { task } }];
+        });
+    }
+
+    handleEnhanceTask(ctx) {
+        return this.withTask(ctx, (task) => {
+            task.is_enhanced = true;
+            task.ai_suggestions = [
+                ...task.ai_suggestions,
+                'Break this into two smaller steps',
+                'Set a reminder for tomorrow morning'
+            ];
+            this.publishTaskEvent('task.updated', { task });
+            return [200, { status: 'success', data: { task } }];
+        });
+    }
+
+    handleTriggerSync({ body }) {
+        const now = Date.now();
+        const lastSynced = Math.max(...this.sources.map(source => Date.parse(source.last_synced_at)));
+        const minutesAgo = Math.floor((now - lastSynced) / 60000);
+
+        // Mirror the backend's 15 minute throttle unless forced
+        if (!body.force && minutesAgo < 15) {
+            return [200, { status: 'success', data: { skippedDueToTiming: true, lastSyncMinutesAgo: minutesAgo } }];
+        }
+
+        const jobs = this.sources
+            .filter(source => !source.ingestion_paused)
+            .map(source => this.startSourceSync(source));
+
+        return [200, { status: 'success', data: { triggered: true, jobs } }];
+    }
+
+    startSourceSync(source) {
+        const job = this.startJob({ sourceId: source.id, durationMs: 2000 + Math.random() * 4000 }, (error) => {
+            source.status = error ? 'error' : 'connected';
+            source.last_error = error;
+            if (!error) source.last_synced_at = new Date().toISOString();
+        });
+        return { jobId: job.id, sourceId: source.id, sourceName: source.name, sourceType: source.type };
+    }
+
+    withSource({ params }, callback) {
+        const source = this.sources.find(s => s.id === decodeURIComponent(params[0]));
+        if (!source) {
+            return [404, { status: 'error', message: 'Source not found' }];
+        }
+        return callback(source);
+    }
+
+    handleSyncSource(ctx) {
+        return this.withSource(ctx, (source) => {
+            if (source.ingestion_paused) {
+                return [409, { status: 'error', message: 'Ingestion is paused for this source' }];
+            }
+            return [200, { status: 'success', data: { triggered: true, jobs: [this.startSourceSync(source)] } }];
+        });
+    }
+
+    handleUpdateSource(ctx) {
+        return this.withSource(ctx, (source) => {
+            if (typeof ctx.body.ingestion_paused === 'boolean') {
+                source.ingestion_paused = ctx.body.ingestion_paused;
+            }
+            return [200, { status: 'success', data: { source } }];
+        });
+    }
+
+    handleTriggerRicu() {
+        const job = this.startJob({ durationMs: 1500 }, (error) => {
+            if (!error) this.tasks.forEach(task => { task.ricu = calculateRicu(task); });
+        });
+        return [200, { status: 'success', data: { triggered: true, jobId: job.id } }];
+    }
+
+    // ===== TASK EVENTS =====
+
+    handleTaskEvents({ req, res }) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        res.write('retry: 2000\n\n');
+
+        // Replay what the client missed while disconnected
+        const lastEventId = Number(req.headers['last-event-id']) || 0;
+        if (lastEventId) {
+            this.taskEvents
+                .filter(event => event.id > lastEventId)
+                .forEach(event => this.writeTaskEvent(res, event));
+        }
+
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+        heartbeat.unref();
+
+        this.eventClients.add(res);
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.eventClients.delete(res);
+        });
+
+        return null;
+    }
+
+    publishTaskEvent(type, data) {
+        const event = { id: this.nextEventId++, type, data };
+        this.taskEvents = [...this.taskEvents, event].slice(-200);
+        this.eventClients.forEach(res => this.writeTaskEvent(res, event));
+    }
+
+    writeTaskEvent(res, event) {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    }
+
+    disconnectEventClients() {
+        this.eventClients.forEach(res => res.end());
+        this.eventClients.clear();
+    }
+
+    // ===== JOBS =====
+
+    /**
+     * Start a simulated background job that finishes after durationMs and calls
+     * onFinish(error). Failure rules with `"path": "/__jobs"` make the next jobs fail.
+     */
+    startJob({ sourceId = null, durationMs }, onFinish) {
+        const failureRule = this.failureRules.find(rule => rule.times > 0 && rule.path === '/__jobs');
+        if (failureRule) failureRule.times--;
+
+        const job = {
+            id: `job-${crypto.randomBytes(4).toString('hex')}`,
+            sourceId,
+            startedAt: Date.now(),
+            durationMs,
+            state: 'queued',
+            error: null
+        };
+        this.jobs.set(job.id, job);
+
+        const timer = setTimeout(() => {
+            if (failureRule) {
+                job.state = 'failed';
+                job.error = failureRule.message || 'Mock job failure';
+            } else {
+                job.state = 'completed';
+            }
+            onFinish(job.error);
+        }, durationMs);
+        timer.unref();
+
+        return job;
+    }
+
+    getJobStatus(job) {
+        if (job.state === 'completed' || job.state === 'failed') {
+            return { id: job.id, sourceId: job.sourceId, state: job.state, progress: 100, error: job.error };
+        }
+
+        const elapsed = Date.now() - job.startedAt;
+        return {
+            id: job.id,
+            sourceId: job.sourceId,
+            state: elapsed < 500 ? 'queued' : 'active',
+            progress: Math.min(99, Math.round((elapsed / job.durationMs) * 100)),
+            error: null
+        };
+    }
+
+    handleJobStatus({ url }) {
+        const ids = (url.searchParams.get('ids') || '').split(',').filter(Boolean);
+        const jobs = ids
+            .map(id => this.jobs.get(id))
+            .filter(Boolean)
+            .map(job => this.getJobStatus(job));
+
+        return [200, { status: 'success', data: { jobs } }];
+    }
+}
+
+module.exports = MockBackend;
@@ -0,0 +1,87 @@
+/**
+ * Mutation Outbox for Desktop App
+ * Durable, ordered queue of task mutations that could not reach the server.
+ * The API client replays it in order once connectivity returns.
+ */
+
+const crypto = require('crypto');
+const LocalStore = require('./localStore');
+
+class MutationOutbox {
+    /**
+     * @param {string} [fileName] - file in userData (each account has its own, see accountStore.js)
+     */
+    constructor(fileName = 'outbox.json') {
+        this.store = new LocalStore(fileName, { mutations: [] });
+    }
+
+    /**
+     * Get all pending mutations, oldest first
+     */
+    list() {
+        return this.store.get('mutations');
+    }
+
+    /**
+     * Queue a mutation
+     * @param {{ id?: string, type: string, taskId?: string, payload?: Object }} mutation - `id` is kept
+     *   when the mutation was already sent with it as idempotency key
+     * @returns {Object} the stored mutation (with id and, for creates, a local task ID)
+     */
+    enqueue(mutation) {
+        const id = mutation.id || crypto.randomUUID();
+        const stored = {
+            id,
+            type: mutation.type,
+            taskId: mutation.taskId || `local-${id}`,
+            payload: mutation.payload || null,
+            createdAt: Date.now(),
+            attempts: 0,
+            stuck: false,
+            lastError: null
+        };
+
+        this.store.set('mutations', [...this.list(), stored]);
+        return stored;
+    }
+
+    /**
+     * Update a pending mutation (e.g. record a failed attempt)
+     */
+    update(mutationId, changes) {
+        const mutations = this.list().map(mutation => (
+            mutation.id === mutationId ? { ...mutation, ...changes } : mutation
+        ));
+        this.store.set('mutations', mutations);
+    }
+
+    /**
+     * Remove a mutation (replayed or discarded)
+     * @returns {Object|null} the removed mutation
+     */
+    remove(mutationId) {
+        const mutations = this.list();
+        const removed = mutations.find(mutation => mutation.id === mutationId) || null;
+        this.store.set('mutations', mutations.filter(mutation => mutation.id !== mutationId));
+        return removed;
+    }
+
+    /**
+     * Point queued mutations for an offline-created task at its real server ID
+     */
+    remapTaskId(fromTaskId, toTaskId) {
+        const mutations = this.list().map(mutation => (
+            String(mutation.taskId) === String(fromTaskId) ? { ...mutation, taskId: toTaskId } : mutation
+        ));
+        this.store.set('mutations', mutations);
+    }
+
+    /**
+     * Drop all pending mutations (e.g. on logout)
+     */
+    clear() {
+        this.store.clear();
+    }
+}
+
+module.exports = MutationOutbox;
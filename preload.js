@@ -0,0 +1,266 @@
+/**
+ * Preload script for the widget and main windows
+ * Exposes a narrow API to the renderers as `window.primitiv`. The renderers run with
+ * contextIsolation and the sandbox enabled; auth, the API client and the task cache
+ * live in the main process (see apiBridge.js) and are only reachable through this API.
+ */
+
+const { contextBridge, ipcRenderer } = require('electron');
+
+/**
+ * @typedef {'unauthenticated'|'authenticating'|'authenticated'} AuthStateName
+ * @typedef {{ id: string, user: Object, initials: string, active: boolean }} Account
+ * @typedef {{ userCode: string, verificationUri: string, verificationUriComplete: string|null, expiresAt: number }} DeviceLogin
+ * @typedef {{ authState: AuthStateName, user: Object|null, initials: string|null, accounts: Account[], activeAccountId: string|null, deviceLogin: DeviceLogin|null }} AuthState
+ * @typedef {{ id: string, kind: 'source'|'ricu', label: string, sourceId: string|null, state: string, progress: number, error: string|null }} SyncJob
+ * @typedef {{ status: string, data: Object, fromCache?: boolean, cachedAt?: number, queued?: boolean }} ApiResponse
+ * @typedef {{ action: string, label: string, accelerator: string|null, defaultAccelerator: string, error: null|'in-use'|'duplicate'|'invalid', conflictsWith: string|null }} Shortcut
+ * @typedef {'normal'|'always-on-top'|'all-workspaces'} VisibilityMode
+ * @typedef {{ id: string, label: string, days: number[], start: string, end: string, enabled: boolean }} QuietHoursSchedule - days: 0 is Sunday; start/end 'HH:MM', overnight when end is not after start
+ * @typedef {{ schedules: QuietHoursSchedule[], active: boolean, schedule: QuietHoursSchedule|null, nextTransition: { at: number, active: boolean }|null, error?: string }} QuietHoursState
+ * @typedef {{ dock: string|null, autoHide: boolean, visibility: VisibilityMode, pinPanel: boolean }} Layout - dock: the edge or corner the widget is docked to ('left', 'bottom-right', ...)
+ */
+
+/**
+ * Call a main-process handler registered by apiBridge.js.
+ * Errors come back as plain data so `status`, `isNetworkError` and `retryAfterMs` survive IPC.
+ */
+async function invoke(channel, ...args) {
+    const reply = await ipcRenderer.invoke(channel, ...args);
+    if (reply.ok) return reply.result;
+
+    const error = new Error(reply.error.message);
+    Object.assign(error, reply.error);
+    throw error;
+}
+
+/**
+ * Subscribe to a main-process event; returns an unsubscribe function
+ */
+function on(channel, callback) {
+    const listener = (event, ...args) => callback(...args);
+    ipcRenderer.on(channel, listener);
+    return () => ipcRenderer.removeListener(channel, listener);
+}
+
+let jobWaitCounter = 0;
+
+/**
+ * Hand a session that older versions kept in localStorage to the main process, once
+ */
+function migrateLegacySession() {
+    const keys = {
+        accessToken: 'primitivDesktopAccessToken',
+        refreshToken: 'primitivDesktopRefreshToken',
+        userData: 'primitivDesktopUserData',
+        authState: 'primitivDesktopAuthState'
+    };
+
+    try {
+        const accessToken = localStorage.getItem(keys.accessToken);
+        const refreshToken = localStorage.getItem(keys.refreshToken);
+        const rawUserData = localStorage.getItem(keys.userData);
+        if (!accessToken && !refreshToken && !rawUserData) return;
+
+        let userData = null;
+        try {
+            userData = rawUserData ? JSON.parse(rawUserData) : null;
+        } catch (error) {
+            console.error('Ignoring unreadable stored user data:', error);
+        }
+
+        // Keep the stored session only while the main process asks to retry (it couldn't reach the server)
+        invoke('auth-migrate-legacy', { accessToken, refreshToken, userData })
+            .then(result => {
+                if (result !== 'retry') {
+                    Object.values(keys).forEach(key => localStorage.removeItem(key));
+                }
+            })
+            .catch(error => console.error('Failed to migrate stored session:', error));
+    } catch (error) {
+        console.error('Failed to read stored session:', error);
+    }
+}
+
+migrateLegacySession();
+
+contextBridge.exposeInMainWorld('primitiv', {
+    auth: {
+        /** @returns {Promise<AuthState>} */
+        getState: () => invoke('auth-get-state'),
+        /** Open the login page in the browser; signing in while signed in adds an account */
+        login: () => invoke('auth-login'),
+        /**
+         * Sign in by entering a code on another device (no browser redirect needed)
+         * @returns {Promise<DeviceLogin|null>} null if the server couldn't start one
+         */
+        loginWithDeviceCode: () => invoke('auth-login-device'),
+        cancelLogin: () => invoke('auth-cancel-login'),
+        /** Re-open the login page (if the browser didn't open) */
+        openLoginUrl: () => invoke('auth-open-login-url'),
+        /** @param {string} [accountId] - defaults to the active account */
+        logout: (accountId = null) => invoke('auth-logout', accountId),
+        /** @returns {Promise<boolean>} whether the account is signed in */
+        switchAccount: (accountId) => invoke('auth-switch-account', accountId),
+        /** @param {(state: AuthState) => void} callback */
+        onStateChanged: (callback) => on('auth-state-changed', callback)
+    },
+
+    tasks: {
+        /**
+         * @param {{ limit?: number, status?: string, priority?: string, cursor?: string }} filters
+         * @returns {Promise<ApiResponse>} `data.tasks`, `data.nextCursor` and `data.total`
+         */
+        list: (filters) => invoke('tasks-list', filters),
+        /** @returns {Promise<ApiResponse>} */
+        get: (taskId) => invoke('tasks-get', taskId),
+        /** @returns {Promise<ApiResponse>} */
+        create: (taskData) => invoke('tasks-create', taskData),
+        update: (taskId, updates) => invoke('tasks-update', taskId, updates),
+        complete: (taskId) => invoke('tasks-complete', taskId),
+        trash: (taskId) => invoke('tasks-trash', taskId),
+        rateSuggestion: (taskId, suggestionIndex, rating) => invoke('tasks-rate-suggestion', taskId, suggestionIndex, rating),
+        enhance: (taskId) => invoke('tasks-enhance', taskId),
+        /** Offline edits not yet accepted by the server */
+        pendingChanges: () => invoke('tasks-pending-changes'),
+        discardChange: (mutationId) => invoke('tasks-discard-change', mutationId),
+        /** @returns {Promise<{ replayed: number, remaining: number }>} */
+        replayChanges: () => invoke('tasks-replay-changes'),
+        /** Connectivity is back: reconnect the event stream and replay offline edits */
+        resumeOnline: () => invoke('tasks-resume-online'),
+        /** @param {(pending: Array) => void} callback */
+        onPendingChanged: (callback) => on('tasks-pending-changed', callback),
+        /** @param {(event: string, detail: Object) => void} callback - task.created/updated/deleted, connection-changed */
+        onEvent: (callback) => on('tasks-event', callback)
+    },
+
+    sync: {
+        /** @returns {Promise<ApiResponse & { jobs: SyncJob[] }>} */
+        triggerAll: (force) => invoke('sync-trigger-all', force),
+        /** @returns {Promise<ApiResponse & { jobs: SyncJob[] }>} */
+        triggerRicu: (force) => invoke('sync-trigger-ricu', force),
+        /** @returns {Promise<{ sync: ApiResponse, ricu: ApiResponse, jobs: SyncJob[] }>} */
+        force: () => invoke('sync-force'),
+        /**
+         * Poll jobs until they finish
+         * @param {SyncJob[]} jobs
+         * @param {(jobs: SyncJob[]) => void} [onProgress]
+         * @returns {Promise<{ jobs: SyncJob[], timedOut: boolean }>}
+         */
+        waitForJobs: async (jobs, onProgress) => {
+            const requestId = ++jobWaitCounter;
+            const unsubscribe = on('sync-jobs-progress', (id, progress) => {
+                if (id === requestId && onProgress) onProgress(progress);
+            });
+            try {
+                return await invoke('sync-wait-for-jobs', requestId, jobs);
+            } finally {
+                unsubscribe();
+            }
+        },
+        listSources: () => invoke('sync-list-sources'),
+        /** @returns {Promise<ApiResponse & { jobs: SyncJob[] }>} */
+        syncSource: (sourceId) => invoke('sync-source', sourceId),
+        setSourcePaused: (sourceId, paused) => invoke('sync-set-source-paused', sourceId, paused)
+    },
+
+    window: {
+        moveWidget: (deltaX, deltaY) => ipcRenderer.send('move-widget', deltaX, deltaY),
+        /** Moves between these two snap to nearby screen edges; the edge it ends on becomes the dock */
+        widgetDragStarted: () => ipcRenderer.send('widget-drag-start'),
+        widgetDragEnded: () => ipcRenderer.send('widget-drag-end'),
+        /** Brings an auto-hidden widget back while the pointer is over it */
+        setWidgetHovered: (hovered) => ipcRenderer.send('widget-hover', hovered),
+        resizeWidget: (width, height) => ipcRenderer.send('resize-window', width, height),
+        /** @returns {Promise<{ x: number, y: number }>} */
+        getMainWindowPosition: () => ipcRenderer.invoke('get-window-position'),
+        moveMainWindowTo: (x, y) => ipcRenderer.send('move-main-window-absolute', x, y),
+        /** @returns {Promise<{ x: number, y: number, class: string }>} */
+        calculateMainWindowPosition: (widgetRect) => ipcRenderer.invoke('calculate-main-window-position', { widgetRect }),
+        showMainWindow: (x, y) => ipcRenderer.send('show-main-window', x, y),
+        showMainWindowWithView: (x, y, view) => ipcRenderer.send('show-main-window-with-view', x, y, view),
+        switchMainWindowView: (view) => ipcRenderer.send('switch-main-window-view', view),
+        /** Open a task's detail in the main window (once the panel is shown) */
+        showTaskDetail: (taskId) => ipcRenderer.send('show-task-detail', taskId),
+        hideMainWindow: () => ipcRenderer.send('hide-main-window'),
+        requestSync: () => ipcRenderer.send('trigger-sync-on-click'),
+        openDashboard: () => ipcRenderer.send('open-dashboard'),
+        exitApp: () => ipcRenderer.send('exit-app'),
+        onMainWindowShown: (callback) => on('main-window-shown', callback),
+        onSyncRequested: (callback) => on('trigger-sync-on-click', callback),
+        /** @param {() => void} callback - "Sync now" from the tray: forced sync, then reload tasks */
+        onRefreshRequested: (callback) => on('refresh-tasks', callback),
+        /** @param {(taskId: string) => void} callback */
+        onShowTaskDetail: (callback) => on('show-task-detail', callback),
+        onShowView: (callback) => on('show-main-window-with-view', callback),
+        onSwitchView: (callback) => on('switch-main-window-view', callback),
+        onHiddenForSleep: (callback) => on('main-window-hidden-for-sleep', callback),
+        onResetTaskIcon: (callback) => on('reset-task-icon', callback),
+        /**
+         * @param {(command: 'togglePanel'|'newTask'|'openTask', taskId?: string) => void} callback -
+         *   a global shortcut was pressed or a tray menu item clicked
+         */
+        onPanelCommand: (callback) => on('panel-command', callback)
+    },
+
+    shortcuts: {
+        /** @returns {Promise<Shortcut[]>} */
+        get: () => ipcRenderer.invoke('shortcuts-get'),
+        /**
+         * Bind an action to an Electron accelerator (empty to disable); conflicts come back in the result
+         * @returns {Promise<Shortcut[]>}
+         */
+        set: (action, accelerator) => ipcRenderer.invoke('shortcuts-set', action, accelerator),
+        /** @returns {Promise<Shortcut[]>} */
+        reset: () => ipcRenderer.invoke('shortcuts-reset'),
+        /** Suspend the shortcuts while a new binding is being recorded */
+        setPaused: (paused) => ipcRenderer.invoke('shortcuts-set-paused', paused),
+        /** @param {(shortcuts: Shortcut[]) => void} callback */
+        onChanged: (callback) => on('shortcuts-changed', callback)
+    },
+
+    layout: {
+        /** @returns {Promise<Layout>} */
+        get: () => ipcRenderer.invoke('layout-get'),
+        /**
+         * @param {{ autoHide?: boolean, visibility?: VisibilityMode, pinPanel?: boolean }} changes - applied right away
+         * @returns {Promise<Layout>}
+         */
+        set: (changes) => ipcRenderer.invoke('layout-set', changes),
+        /** @param {(layout: Layout) => void} callback */
+        onChanged: (callback) => on('layout-changed', callback)
+    },
+
+    quietHours: {
+        /** @returns {Promise<QuietHoursState>} */
+        get: () => ipcRenderer.invoke('quiet-hours-get'),
+        /**
+         * Add a schedule (no id) or replace one; an invalid schedule comes back as `error`
+         * @param {Partial<QuietHoursSchedule>} schedule
+         * @returns {Promise<QuietHoursState>}
+         */
+        save: (schedule) => ipcRenderer.invoke('quiet-hours-save', schedule),
+        /** @returns {Promise<QuietHoursState>} */
+        remove: (scheduleId) => ipcRenderer.invoke('quiet-hours-remove', scheduleId),
+        /** @param {(state: QuietHoursState) => void} callback - quiet hours started or ended, or schedules changed */
+        onChanged: (callback) => on('quiet-hours-changed', callback)
+    },
+
+    sleep: {
+        start: (hours, minutes) => ipcRenderer.send('start-sleep-mode', hours, minutes),
+        wake: () => ipcRenderer.send('wake-up'),
+        /** @returns {Promise<{ sleeping: boolean, wakeAt: number|null }>} wakeAt: when sleep ends (ms since epoch) */
+        getState: () => ipcRenderer.invoke('sleep-get-state'),
+        /** @param {(hours: number, minutes: number, wakeAt: number) => void} callback - time left, sent every minute */
+        onTimer: (callback) => on('update-sleep-timer', callback),
+        onEnded: (callback) => on('sleep-mode-ended', callback)
+    },
+
+    updates: {
+        download: () => ipcRenderer.send('download-update'),
+        install: () => ipcRenderer.send('install-update'),
+        onAvailable: (callback) => on('update-available', callback),
+        onProgress: (callback) => on('update-download-progress', callback),
+        onDownloaded: (callback) => on('update-downloaded', callback)
+    }
+});
@@ -0,0 +1,205 @@
+/**
+ * Quiet Hours for Desktop App
+ * Recurring do-not-disturb schedules (e.g. weekdays 18:00-09:00, focus blocks).
+ * Whether quiet hours are on is worked out from the wall clock each time, not
+ * counted down, so it stays right across restarts, suspend and clock changes.
+ */
+
+const crypto = require('crypto');
+const LocalStore = require('./localStore');
+
+// Re-check at least this often, in case the clock jumped or the system slept
+const MAX_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+class QuietHours {
+    constructor() {
+        /** schedules: [{ id, label, days: [0-6, Sunday first], start: 'HH:MM', end: 'HH:MM', enabled }] */
+        this.store = new LocalStore('quiet-hours.json', { schedules: [] });
+        this.active = false;
+        this.checkTimer = null;
+        this.listeners = [];
+    }
+
+    list() {
+        return this.store.get('schedules');
+    }
+
+    /**
+     * Add a schedule, or replace the one with the same id. A schedule whose end is not
+     * after its start runs overnight; `days` are the days it starts on.
+     * @returns {Object} the saved schedule
+     */
+    save(schedule) {
+        const saved = this.validate(schedule);
+        const exists = this.list().some(other => other.id === saved.id);
+
+        this.store.set('schedules', exists
+            ? this.list().map(other => (other.id === saved.id ? saved : other))
+            : [...this.list(), saved]);
+        this.check(true);
+        return saved;
+    }
+
+    remove(scheduleId) {
+        this.store.set('schedules', this.list().filter(schedule => schedule.id !== scheduleId));
+        this.check(true);
+    }
+
+    validate(schedule) {
+        if (!schedule || !TIME_PATTERN.test(schedule.start) || !TIME_PATTERN.test(schedule.end)) {
+            throw new Error('Start and end must be times like 09:00');
+        }
+        if (schedule.start === schedule.end) {
+            throw new Error('Start and end must be different times');
+        }
+
+        const days = [...new Set(schedule.days || [])]
+            .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+            .sort();
+        if (days.length === 0) {
+            throw new Error('Pick at least one day');
+        }
+
+        return {
+            id: schedule.id || crypto.randomUUID(),
+            label: String(schedule.label || '').trim() || 'Quiet hours',
+            days,
+            start: schedule.start,
+            end: schedule.end,
+            enabled: schedule.enabled !== false
+        };
+    }
+
+    /**
+     * Whether quiet hours are on at a given time, and when that next changes
+     * @returns {{ active: boolean, schedule: Object|null, nextTransition: { at: number, active: boolean }|null }}
+     */
+    getState(now = new Date()) {
+        const periods = this.getPeriods(now);
+        const current = periods.find(period => period.start <= now && now < period.end);
+
+        if (current) {
+            return {
+                active: true,
+                schedule: current.schedule,
+                nextTransition: { at: current.end.getTime(), active: false }
+            };
+        }
+
+        const next = periods.find(period => period.start > now);
+        return {
+            active: false,
+            schedule: null,
+            nextTransition: next ? { at: next.start.getTime(), active: true } : null
+        };
+    }
+
+    /**
+     * Quiet periods from yesterday to a week ahead, overlapping ones merged, in order
+     */
+    getPeriods(now) {
+        const periods = [];
+
+        this.list().filter(schedule => schedule.enabled).forEach(schedule => {
+            const [startHours, startMinutes] = schedule.start.split(':').map(Number);
+            const [endHours, endMinutes] = schedule.end.split(':').map(Number);
+
+            for (let offset = -1; offset <= 7; offset++) {
+                const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offset);
+                if (!schedule.days.includes(day.getDay())) continue;
+
+                const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), startHours, startMinutes);
+                const end = new Date(day.getFullYear(), day.getMonth(), day.getDate(), endHours, endMinutes);
+                if (end <= start) {
+                    end.setDate(end.getDate() + 1);
+                }
+                periods.push({ start, end, schedule });
+            }
+        });
+
+        periods.sort((a, b) => a.start - b.start);
+        return periods.reduce((merged, period) => {
+            const last = merged[merged.length - 1];
+            if (last && period.start <= last.end) {
+                if (period.end > last.end) last.end = period.end;
+            } else {
+                merged.push({ ...period });
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Start following the schedules; listeners hear about every change from here on
+     */
+    start() {
+        this.active = this.getState().active;
+        this.scheduleCheck();
+    }
+
+    stop() {
+        clearTimeout(this.checkTimer);
+        this.checkTimer = null;
+    }
+
+    /**
+     * Compare against the clock now (after a resume, or when the schedules changed);
+     * listeners hear about it if quiet hours started or ended, or the schedules were edited
+     */
+    check(schedulesChanged = false) {
+        const state = this.getState();
+        const changed = state.active !== this.active;
+        this.active = state.active;
+
+        if (changed) {
+            console.log(`Quiet hours ${state.active ? 'started' : 'ended'}`);
+        }
+        if (changed || schedulesChanged) {
+            this.notifyListeners(state, changed);
+        }
+        this.scheduleCheck(state);
+    }
+
+    scheduleCheck(state = this.getState()) {
+        clearTimeout(this.checkTimer);
+        const untilTransition = state.nextTransition ? state.nextTransition.at - Date.now() : Infinity;
+        // A little past the transition, so the check lands on the new side of it
+        const delay = Math.max(1000, Math.min(untilTransition + 1000, MAX_CHECK_INTERVAL_MS));
+        this.checkTimer = setTimeout(() => this.check(), delay);
+    }
+
+    isActive() {
+        return this.active;
+    }
+
+    /**
+     * Add listener for state changes: callback(state, changed), where `changed` is false
+     * when only the schedules were edited
+     */
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Remove listener
+     */
+    removeListener(callback) {
+        const index = this.listeners.indexOf(callback);
+        if (index > -1) {
+            this.listeners.splice(index, 1);
+        }
+    }
+
+    notifyListeners(state, changed) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(state, changed);
+            } catch (error) {
+                console.error('Quiet hours listener error:', error);
+            }
+        });
+    }
+}
+
+module.exports = QuietHours;
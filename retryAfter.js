@@ -0,0 +1,25 @@
+/**
+ * Retry-After for Desktop App
+ * Reads the Retry-After header of 429 and 503 responses; shared by the API client
+ * and the auth service's token refresh.
+ */
+
+/**
+ * Parse a Retry-After header, which is either a number of seconds or an HTTP date
+ * @returns {number|null} delay in milliseconds
+ */
+function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = {
+    parseRetryAfter
+};
@@ -0,0 +1,241 @@
+/**
+ * Task Event Stream for Desktop App
+ * Keeps a server-sent events connection to /api/tasks/events open and passes
+ * task create/update/delete events to listeners. Reconnects with jittered backoff
+ * and resumes from the last event ID.
+ */
+
+const TASK_EVENT_TYPES = ['task.created', 'task.updated', 'task.deleted'];
+
+class TaskEventStream {
+    constructor(authService, options = {}) {
+        this.authService = authService;
+        this.baseUrl = options.baseUrl || authService.baseUrl || 'https://primitiv.tools';
+
+        this.reconnectPolicy = {
+            baseDelayMs: 1000,
+            maxDelayMs: 60000,
+            ...options.reconnectPolicy
+        };
+        // The server sends a heartbeat comment every 25 seconds; silence longer than this means a dead connection
+        this.idleTimeoutMs = options.idleTimeoutMs || 60000;
+
+        this.running = false;
+        this.connected = false;
+        this.connecting = false;
+        this.abortController = null;
+        this.reconnectTimer = null;
+        this.idleTimer = null;
+        this.reconnectAttempts = 0;
+        this.lastEventId = null;
+
+        this.listeners = [];
+    }
+
+    /**
+     * Open the stream (no-op if already running)
+     */
+    start() {
+        if (this.running) return;
+
+        this.running = true;
+        this.reconnectAttempts = 0;
+        this.connect();
+    }
+
+    /**
+     * Close the stream and stop reconnecting
+     */
+    stop() {
+        this.running = false;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.idleTimer);
+        this.reconnectTimer = null;
+        this.lastEventId = null;
+
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+        this.connecting = false;
+        this.setConnected(false);
+    }
+
+    /**
+     * Reconnect now instead of waiting out the backoff (e.g. when the network comes back)
+     */
+    reconnectNow() {
+        if (!this.running || this.connected || this.connecting) return;
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectAttempts = 0;
+        this.connect();
+    }
+
+    async connect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+
+        // One connection at a time; a superseded one winds down without reconnecting
+        if (this.abortController) this.abortController.abort();
+        const controller = new AbortController();
+        const { signal } = controller;
+        this.abortController = controller;
+        this.connecting = true;
+
+        let hasRefreshedToken = false;
+
+        try {
+            let response;
+            while (true) {
+                const accessToken = await this.authService.getAccessToken();
+                if (!accessToken) {
+                    throw new Error('No access token available');
+                }
+
+                const headers = {
+                    'Accept': 'text/event-stream',
+                    'Authorization': `Bearer ${accessToken}`
+                };
+                if (this.lastEventId) {
+                    headers['Last-Event-ID'] = this.lastEventId;
+                }
+
+                response = await fetch(`${this.baseUrl}/api/tasks/events`, { headers, signal });
+
+                // Same single refresh-and-retry as the API client
+                if (response.status === 401 && !hasRefreshedToken) {
+                    hasRefreshedToken = true;
+                    if (await this.authService.refreshAccessToken()) continue;
+                }
+                break;
+            }
+
+            if (!response.ok) {
+                throw new Error(`Task event stream failed: HTTP ${response.status}`);
+            }
+
+            console.log('[Events] Task event stream connected');
+            this.connecting = false;
+            this.reconnectAttempts = 0;
+            this.setConnected(true);
+            await this.readStream(response.body, signal);
+            console.log('[Events] Task event stream closed by server');
+        } catch (error) {
+            if (this.abortController !== controller) return;
+            console.error('[Events] Task event stream error:', error.message);
+        }
+
+        // Stopped, or replaced by a newer connection
+        if (this.abortController !== controller) return;
+
+        this.connecting = false;
+        clearTimeout(this.idleTimer);
+        this.setConnected(false);
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (!this.running) return;
+
+        const { baseDelayMs, maxDelayMs } = this.reconnectPolicy;
+        const delay = Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+
+        console.log(`[Events] Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    resetIdleTimer() {
+        clearTimeout(this.idleTimer);
+        this.idleTimer = setTimeout(() => {
+            console.warn('[Events] No data from task event stream, reconnecting');
+            if (this.abortController) this.abortController.abort();
+        }, this.idleTimeoutMs);
+    }
+
+    async readStream(body, signal) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        this.resetIdleTimer();
+
+        while (!signal.aborted) {
+            const { done, value } = await reader.read();
+            if (done) return;
+
+            this.resetIdleTimer();
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            const blocks = buffer.split(/\r?\n\r?\n/);
+            buffer = blocks.pop();
+            blocks.forEach(block => this.handleEventBlock(block));
+        }
+    }
+
+    handleEventBlock(block) {
+        let eventType = 'message';
+        let eventId = null;
+        const dataLines = [];
+
+        block.split(/\r?\n/).forEach(line => {
+            // Lines starting with ':' are comments (heartbeats)
+            if (!line || line.startsWith(':')) return;
+
+            const separator = line.indexOf(':');
+            const field = separator === -1 ? line : line.slice(0, separator);
+            const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+            if (field === 'event') eventType = value;
+            else if (field === 'data') dataLines.push(value);
+            else if (field === 'id') eventId = value;
+            else if (field === 'retry' && Number(value) > 0) this.reconnectPolicy.baseDelayMs = Number(value);
+        });
+
+        if (eventId) this.lastEventId = eventId;
+        if (!TASK_EVENT_TYPES.includes(eventType) || dataLines.length === 0) return;
+
+        try {
+            this.notifyListeners(eventType, JSON.parse(dataLines.join('\n')));
+        } catch (error) {
+            console.error('[Events] Invalid task event payload:', error);
+        }
+    }
+
+    setConnected(connected) {
+        if (this.connected === connected) return;
+        this.connected = connected;
+        this.notifyListeners('connection-changed', { connected });
+    }
+
+    /**
+     * Add listener for stream events ('task.created', 'task.updated', 'task.deleted', 'connection-changed')
+     */
+    addListener(callback) {
+        this.listeners.push(callback);
+    }
+
+    /**
+     * Remove listener
+     */
+    removeListener(callback) {
+        const index = this.listeners.indexOf(callback);
+        if (index > -1) {
+            this.listeners.splice(index, 1);
+        }
+    }
+
+    notifyListeners(event, detail) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event, detail);
+            } catch (error) {
+                console.error('Task event listener error:', error);
+            }
+        });
+    }
+}
+
+module.exports = TaskEventStream;
@@ -0,0 +1,83 @@
+/**
+ * Task Mutations for Desktop App
+ * Applies queued (not yet synced) task mutations to local task data, so the
+ * offline cache and the task list reflect edits made while offline.
+ * Shared by the API client and the main-process task store.
+ */
+
+const LOCAL_TASK_PREFIX = 'local-';
+
+/**
+ * Check if a task ID is a placeholder for a task created offline
+ */
+function isLocalTaskId(taskId) {
+    return String(taskId).startsWith(LOCAL_TASK_PREFIX);
+}
+
+/**
+ * Build a placeholder task from a queued create mutation
+ */
+function createLocalTask(mutation) {
+    const payload = mutation.payload || {};
+
+    return {
+        id: mutation.taskId,
+        title: payload.task || 'Untitled Task',
+        description: payload.context_string || '',
+        participants: payload.participants || ['Me'],
+        due_date: payload.due_date || null,
+        source: 'manual',
+        status: 'pending',
+        ricu: 1,
+        created_at: new Date(mutation.createdAt || Date.now()).toISOString()
+    };
+}
+
+/**
+ * Apply a mutation to a single task
+ * @returns {Object|null} the updated task, or null if the mutation removes it
+ */
+function applyMutationToTask(task, mutation) {
+    switch (mutation.type) {
+        case 'update':
+            return { ...task, ...mutation.payload };
+        case 'complete':
+            return { ...task, status: 'completed' };
+        case 'trash':
+        case 'delete':
+            return null;
+        default:
+            return task;
+    }
+}
+
+/**
+ * Apply a mutation to a task list
+ * @param {Array} tasks - tasks in the list
+ * @param {Object} mutation - queued mutation
+ * @param {string} [listStatus] - status filter of the list ('pending' or 'completed')
+ */
+function applyMutationToTasks(tasks, mutation, listStatus) {
+    const isTarget = (task) => String(task.id) === String(mutation.taskId);
+
+    if (mutation.type === 'create') {
+        if (listStatus === 'completed' || tasks.some(isTarget)) return tasks;
+        return [...tasks, createLocalTask(mutation)];
+    }
+
+    // Completed tasks leave the pending list
+    if (mutation.type === 'complete' && listStatus !== 'completed') {
+        return tasks.filter(task => !isTarget(task));
+    }
+
+    return tasks
+        .map(task => (isTarget(task) ? applyMutationToTask(task, mutation) : task))
+        .filter(Boolean);
+}
+
+module.exports = {
+    isLocalTaskId,
+    createLocalTask,
+    applyMutationToTask,
+    applyMutationToTasks
+};
@@ -0,0 +1,124 @@
+/**
+ * Offline Task Store for Desktop App
+ * Keeps the last task lists and task details fetched from the API on disk,
+ * so the widget can still show them when the network is unavailable.
+ */
+
+const LocalStore = require('./localStore');
+const { createLocalTask, applyMutationToTask, applyMutationToTasks } = require('./taskMutations');
+
+class TaskStore {
+    /**
+     * @param {string} [fileName] - file in userData (each account has its own, see accountStore.js)
+     */
+    constructor(fileName = 'task-cache.json') {
+        this.store = new LocalStore(fileName, { lists: {}, tasks: {} });
+    }
+
+    /**
+     * Get a cached task list by its query key
+     * @returns {{ tasks: Array, total: number|null, cachedAt: number } | null}
+     */
+    getList(key) {
+        return this.store.get('lists')[key] || null;
+    }
+
+    /**
+     * Cache a task list under its query key
+     * @param {number} [total] - server-side total, which may exceed the tasks loaded so far
+     */
+    putList(key, tasks, total = null) {
+        const lists = this.store.get('lists');
+        lists[key] = { tasks: tasks || [], total, cachedAt: Date.now() };
+        this.store.set('lists', lists);
+    }
+
+    /**
+     * Get a cached task by ID, falling back to any list that contains it
+     * @returns {{ task: Object, cachedAt: number } | null}
+     */
+    getTask(taskId) {
+        const cached = this.store.get('tasks')[taskId];
+        if (cached) return cached;
+
+        const lists = Object.values(this.store.get('lists'));
+        for (const list of lists) {
+            const task = list.tasks.find(t => String(t.id) === String(taskId));
+            if (task) {
+                return { task, cachedAt: list.cachedAt };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Cache a single task (e.g. from the detail view)
+     */
+    putTask(task) {
+        if (!task || task.id == null) return;
+
+        const tasks = this.store.get('tasks');
+        tasks[task.id] = { task, cachedAt: Date.now() };
+        this.store.set('tasks', tasks);
+    }
+
+    /**
+     * Apply a queued (not yet synced) mutation to every cached list and task,
+     * so the offline copy matches what the user sees
+     */
+    applyMutation(mutation) {
+        const lists = this.store.get('lists');
+        Object.keys(lists).forEach(key => {
+            const listStatus = new URLSearchParams(key).get('status');
+            const previousLength = lists[key].tasks.length;
+            lists[key].tasks = applyMutationToTasks(lists[key].tasks, mutation, listStatus);
+            if (lists[key].total != null) {
+                lists[key].total += lists[key].tasks.length - previousLength;
+            }
+        });
+        this.store.set('lists', lists);
+
+        const tasks = this.store.get('tasks');
+        if (mutation.type === 'create') {
+            tasks[mutation.taskId] = { task: createLocalTask(mutation), cachedAt: Date.now() };
+        } else if (tasks[mutation.taskId]) {
+            const updated = applyMutationToTask(tasks[mutation.taskId].task, mutation);
+            if (updated) {
+                tasks[mutation.taskId].task = updated;
+            } else {
+                delete tasks[mutation.taskId];
+            }
+        }
+        this.store.set('tasks', tasks);
+    }
+
+    /**
+     * Point the cached placeholder of a task created offline at its real server ID
+     */
+    remapTaskId(fromTaskId, toTaskId) {
+        const remap = task => (String(task.id) === String(fromTaskId) ? { ...task, id: toTaskId } : task);
+
+        const lists = this.store.get('lists');
+        Object.values(lists).forEach(list => {
+            list.tasks = list.tasks.map(remap);
+        });
+        this.store.set('lists', lists);
+
+        const tasks = this.store.get('tasks');
+        if (tasks[fromTaskId]) {
+            tasks[toTaskId] = { ...tasks[fromTaskId], task: remap(tasks[fromTaskId].task) };
+            delete tasks[fromTaskId];
+        }
+        this.store.set('tasks', tasks);
+    }
+
+    /**
+     * Drop everything (e.g. on logout)
+     */
+    clear() {
+        this.store.clear();
+    }
+}
+
+module.exports = TaskStore;
@@ -0,0 +1,115 @@
+/**
+ * Token Vault for Desktop App
+ * Keeps the access and refresh tokens in the main process, encrypted at rest with
+ * Electron safeStorage (Keychain on macOS, DPAPI on Windows, libsecret on Linux).
+ * When no OS encryption is available the tokens are written in plain text
+ * (owner-only file permissions) and `isEncrypted()` reports false so the user can be warned.
+ */
+
+const { safeStorage } = require('electron');
+const LocalStore = require('./localStore');
+
+class TokenVault {
+    /**
+     * @param {string} [fileName] - file in userData (each account has its own, see accountStore.js)
+     */
+    constructor(fileName = 'tokens.json') {
+        this.store = new LocalStore(fileName, { format: null, data: null }, { mode: 0o600 });
+        this.tokens = null;
+    }
+
+    /**
+     * Check if tokens can be encrypted on this machine
+     */
+    isEncryptionAvailable() {
+        if (!safeStorage.isEncryptionAvailable()) return false;
+
+        // On Linux without a keyring Chromium falls back to a hardcoded key, which isn't real protection
+        if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function') {
+            return safeStorage.getSelectedStorageBackend() !== 'basic_text';
+        }
+        return true;
+    }
+
+    /**
+     * Check if the stored tokens are encrypted (true when nothing is stored)
+     */
+    isEncrypted() {
+        return this.store.get('format') !== 'plaintext';
+    }
+
+    /**
+     * Read the stored tokens
+     * @returns {{ accessToken: string|null, refreshToken: string|null }}
+     */
+    load() {
+        if (this.tokens) return this.tokens;
+
+        const format = this.store.get('format');
+        const data = this.store.get('data');
+        let tokens = null;
+
+        try {
+            if (format === 'safeStorage' && data) {
+                tokens = JSON.parse(safeStorage.decryptString(Buffer.from(data, 'base64')));
+            } else if (format === 'plaintext' && data) {
+                tokens = data;
+            }
+        } catch (error) {
+            // e.g. the keyring was reset - the tokens are unrecoverable, so sign in again
+            console.error('Failed to decrypt stored tokens:', error);
+        }
+
+        this.tokens = {
+            accessToken: tokens?.accessToken || null,
+            refreshToken: tokens?.refreshToken || null
+        };
+        return this.tokens;
+    }
+
+    getAccessToken() {
+        return this.load().accessToken;
+    }
+
+    getRefreshToken() {
+        return this.load().refreshToken;
+    }
+
+    hasTokens() {
+        return !!this.load().accessToken;
+    }
+
+    /**
+     * Store tokens (a missing refresh token keeps the current one)
+     * @returns {boolean} whether they were encrypted
+     */
+    save(accessToken, refreshToken) {
+        const tokens = {
+            accessToken: accessToken || null,
+            refreshToken: refreshToken || this.load().refreshToken
+        };
+        this.tokens = tokens;
+
+        if (this.isEncryptionAvailable()) {
+            const encrypted = safeStorage.encryptString(JSON.stringify(tokens)).toString('base64');
+            this.store.set('format', 'safeStorage');
+            this.store.set('data', encrypted);
+            return true;
+        }
+
+        console.warn('OS encryption is unavailable - storing tokens in plain text');
+        this.store.set('format', 'plaintext');
+        this.store.set('data', tokens);
+        return false;
+    }
+
+    /**
+     * Forget the tokens (logout)
+     */
+    clear() {
+        this.tokens = null;
+        this.store.clear();
+    }
+}
+
+module.exports = TokenVault;
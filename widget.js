@@ -1,5 +1,3 @@
-const { ipcRenderer } = require('electron');
-
 // Widget elements
 const widget = document.getElementById('widget');
 const dragHandle = document.getElementById('dragHandle');
@@ -15,43 +13,46 @@ const HOVER_DELAY = 150; // Delay before expanding
 const dropdown = document.getElementById('dropdown');
 let isDropdownOpen = false;
 
-// Authentication service
-let authService = null;
-
-// Initialize authentication service
+// Initialize authentication state (the auth service runs in the main process)
 async function initializeAuth() {
     try {
-        authService = window.desktopAuthService;
-        if (!authService) {
-            console.error('Auth service not available');
-            return;
-        }
+        onAuthStateChange(await primitiv.auth.getState());
 
-        // Initialize auth service
-        await authService.init();
-        
         // Add listener for auth state changes
-        authService.addListener(onAuthStateChange);
+        primitiv.auth.onStateChanged(onAuthStateChange);
         
-        console.log('Auth service initialized');
+        console.log('Auth state loaded');
     } catch (error) {
         console.error('Error initializing auth:', error);
     }
 }
 
+// Tooltip with the wake-up time while asleep (wakeAt: ms since epoch, or null when awake)
+function updateSleepTooltip(wakeAt) {
+    widget.title = wakeAt
+        ? `Asleep until ${new Date(wakeAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+        : '';
+}
+
 // Listen for sleep timer updates
-ipcRenderer.on('update-sleep-timer', (event, hours, minutes) => {
+primitiv.sleep.onTimer((hours, minutes, wakeAt) => {
     console.log(`Sleep timer update: ${hours}:${minutes.toString().padStart(2, '0')}`);
-    // You could add UI indication here if needed
+    updateSleepTooltip(wakeAt);
 });
 
 // Listen for sleep mode end
-ipcRenderer.on('sleep-mode-ended', (event) => {
+primitiv.sleep.onEnded(() => {
     console.log('Sleep mode ended - widget fully restored');
+    updateSleepTooltip(null);
 });
 
+// Sleep carries on across restarts
+primitiv.sleep.getState()
+    .then(state => updateSleepTooltip(state.sleeping ? state.wakeAt : null))
+    .catch(error => console.error('Failed to load sleep state:', error));
+
 // Listen for main window hidden during sleep mode
-ipcRenderer.on('main-window-hidden-for-sleep', (event) => {
+primitiv.window.onHiddenForSleep(() => {
     console.log('Main window hidden for sleep - resetting dropdown state');
     isDropdownOpen = false;
     currentView = null;
@@ -59,9 +60,28 @@ ipcRenderer.on('main-window-hidden-for-sleep', (event) => {
 });
 
 // Handle authentication state changes (minimal - main window handles UI)
-function onAuthStateChange(authState, user) {
+function onAuthStateChange({ authState, user, accounts }) {
     console.log('Auth state changed:', authState, user);
-    // Main window handles all auth UI updates
+    const activeAccount = (accounts || []).find(account => account.active);
+    updateAccountBadge(authState === 'authenticated' ? activeAccount : null, (accounts || []).length);
+}
+
+// Show the active account's initials on the logo
+function updateAccountBadge(account, accountCount) {
+    const badge = document.getElementById('accountBadge');
+    if (!badge) return;
+
+    if (!account) {
+        badge.hidden = true;
+        return;
+    }
+
+    const user = account.user || {};
+    badge.textContent = account.initials;
+    badge.title = accountCount > 1
+        ? `${user.email || user.name} (${accountCount} accounts signed in)`
+        : (user.email || user.name || '');
+    badge.hidden = false;
 }
 
 // Update task icon between active and inactive states
@@ -137,12 +157,12 @@ async function showDropdownWithView(view) {
     const position = await calculateMainWindowPosition();
 
     // Send IPC to show main window with specified view
-    ipcRenderer.send('show-main-window-with-view', position.x, position.y, view);
+    primitiv.window.showMainWindowWithView(position.x, position.y, view);
 
     // Trigger sync directly on user click (only for tasks view)
     if (view === 'tasks') {
         console.log('User clicked widget - triggering sync');
-        ipcRenderer.send('trigger-sync-on-click');
+        primitiv.window.requestSync();
     }
 
     console.log('Showing main window at:', position.x, position.y, 'with view:', view);
@@ -156,7 +176,7 @@ function switchToView(view) {
     // Update widget icons based on new view
     updateWidgetIcons();
 
-    ipcRenderer.send('switch-main-window-view', view);
+    primitiv.window.switchMainWindowView(view);
 }
 
 // Calculate optimal position for main window based on widget location
@@ -165,22 +185,13 @@ function calculateMainWindowPosition() {
     
     // Send widget position to main process for calculation
     // The main process will calculate the optimal position and return it
-    return new Promise((resolve) => {
-        ipcRenderer.send('calculate-main-window-position', {
-            widgetRect: {
-                left: widgetRect.left,
-                top: widgetRect.top,
-                right: widgetRect.right,
-                bottom: widgetRect.bottom,
-                width: widgetRect.width,
-                height: widgetRect.height
-            }
-        });
-        
-        // Listen for the calculated position
-        ipcRenderer.once('main-window-position-calculated', (event, position) => {
-            resolve(position);
-        });
+    return primitiv.window.calculateMainWindowPosition({
+        left: widgetRect.left,
+        top: widgetRect.top,
+        right: widgetRect.right,
+        bottom: widgetRect.bottom,
+        width: widgetRect.width,
+        height: widgetRect.height
     });
 }
 
@@ -200,13 +211,14 @@ function hideDropdown() {
     // Update widget icons (both inactive)
     updateWidgetIcons();
 
-    ipcRenderer.send('hide-main-window');
+    primitiv.window.hideMainWindow();
 }
 
 // Settings window functions removed - settings now embedded in main window
 
 // Expand/Collapse functionality
 widget.addEventListener('mouseenter', () => {
+    primitiv.window.setWidgetHovered(true);
     clearTimeout(hoverTimeout);
     hoverTimeout = setTimeout(() => {
         expandWidget();
@@ -214,6 +226,7 @@ widget.addEventListener('mouseenter', () => {
 });
 
 widget.addEventListener('mouseleave', () => {
+    primitiv.window.setWidgetHovered(false);
     clearTimeout(hoverTimeout);
     // Don't collapse if we're dragging
     if (!isDragging) {
@@ -235,7 +248,7 @@ function collapseWidget() {
 
 function updateWindowSize(width, height) {
     // Send message to main process to update window size
-    ipcRenderer.send('resize-window', width, height);
+    primitiv.window.resizeWidget(width, height);
 }
 
 // Drag functionality
@@ -250,6 +263,7 @@ function startDrag(e) {
 
     isDragging = true;
     widget.classList.add('dragging');
+    primitiv.window.widgetDragStarted();
 
     dragStartX = e.screenX;
     dragStartY = e.screenY;
@@ -274,7 +288,7 @@ function drag(e) {
     // Update main window position if it's open
     if (isDropdownOpen) {
         calculateMainWindowPosition().then(position => {
-            ipcRenderer.send('show-main-window', position.x, position.y);
+            primitiv.window.showMainWindow(position.x, position.y);
         });
     }
 
@@ -290,6 +304,7 @@ function stopDrag(e) {
 
     isDragging = false;
     widget.classList.remove('dragging');
+    primitiv.window.widgetDragEnded();
 
     // Remove document-level listeners
     document.removeEventListener('mousemove', drag);
@@ -310,7 +325,7 @@ function stopDrag(e) {
 
 // Helper function to move widget window
 function moveWindow(deltaX, deltaY) {
-    ipcRenderer.send('move-widget', deltaX, deltaY);
+    primitiv.window.moveWidget(deltaX, deltaY);
 }
 
 // Prevent default drag behavior on images
@@ -376,9 +391,7 @@ document.addEventListener('click', (e) => {
 document.addEventListener('click', async (e) => {
     if (e.target.matches('[data-auth-login]')) {
         console.log('Login button clicked');
-        if (authService) {
-            await authService.login();
-        }
+        await primitiv.auth.login();
     }
     
     if (e.target.matches('[data-new-task]')) {
@@ -399,7 +412,7 @@ document.addEventListener('click', async (e) => {
 window.addEventListener('resize', () => {
     if (isDropdownOpen) {
         calculateMainWindowPosition().then(position => {
-            ipcRenderer.send('show-main-window', position.x, position.y);
+            primitiv.window.showMainWindow(position.x, position.y);
         });
     }
     
@@ -411,8 +424,33 @@ document.addEventListener('DOMContentLoaded', async () => {
     await initializeAuth();
 });
 
+// Global shortcuts and the tray menu (both in the main process) act like clicks on the widget
+primitiv.window.onPanelCommand(async (command, taskId) => {
+    console.log('Panel command received:', command);
+
+    if (command === 'togglePanel') {
+        if (isDropdownOpen) {
+            hideDropdown();
+        } else {
+            await showDropdownWithView('tasks');
+        }
+    } else if (command === 'newTask' || command === 'openTask') {
+        if (!isDropdownOpen) {
+            await showDropdownWithView('tasks');
+        } else if (currentView !== 'tasks') {
+            switchToView('tasks');
+        }
+
+        if (command === 'newTask') {
+            primitiv.window.switchMainWindowView('new-task');
+        } else {
+            primitiv.window.showTaskDetail(taskId);
+        }
+    }
+});
+
 // Listen for task icon reset from main process
-ipcRenderer.on('reset-task-icon', () => {
+primitiv.window.onResetTaskIcon(() => {
     console.log('Received reset-task-icon message from main process');
     console.log('Resetting task icon to inactive state');
     updateTaskIcon(false);